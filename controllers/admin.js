@@ -0,0 +1,214 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Message = require('../models/message');
+const MessageReport = require('../models/messageReport');
+const verifyToken = require('../middleware/verify-token');
+const checkRole = require('../middleware/checkRole');
+
+const router = express.Router();
+
+const USER_SUMMARY_FIELDS = 'username email role profile.firstName profile.lastName';
+
+// Longest timed messaging suspension; longer ones are set without an end date
+const MAX_SUSPENSION_DAYS = 365;
+
+/**
+ * Suspend a user's messaging for the given number of days, or indefinitely when days is omitted.
+ * Returns the updated user with the suspension selected, or null if the user does not exist.
+ */
+function suspendMessaging(userId, { days, reason, suspendedBy }) {
+  const until = days ? new Date(Date.now() + days * 24 * 60 * 60000) : null;
+  return User.findByIdAndUpdate(
+    userId,
+    { messagingSuspension: { until, reason, suspendedBy, suspendedAt: new Date() } },
+    { new: true }
+  ).select(`${USER_SUMMARY_FIELDS} messagingSuspension`);
+}
+
+// Helper function to validate a suspension length in days - returns an error message or null
+function validateSuspensionDays(days) {
+  if (days === undefined || days === null) return null;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+    return `days must be a whole number from 1 to ${MAX_SUSPENSION_DAYS}, or omitted for an indefinite suspension`;
+  }
+  return null;
+}
+
+// Index route - GET - /admin/reports?status=open&senderId=
+router.get('/reports', verifyToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) {
+      if (!MessageReport.STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ err: `Invalid status. Must be one of: ${MessageReport.STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.senderId) {
+      if (!mongoose.isValidObjectId(req.query.senderId)) {
+        return res.status(400).json({ err: 'Invalid senderId' });
+      }
+      filter.senderId = req.query.senderId;
+    }
+
+    const reports = await MessageReport.find(filter)
+      .populate('reporterId', USER_SUMMARY_FIELDS)
+      .populate('senderId', USER_SUMMARY_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalReports = await MessageReport.countDocuments(filter);
+    const totalPages = Math.ceil(totalReports / limit);
+
+    res.status(200).json({
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReports,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Get reports error:', err);
+    res.status(500).json({ err: 'Failed to fetch reports' });
+  }
+});
+
+// Show route - GET - /admin/reports/:reportId
+// Includes the message as it is now next to the snapshot taken when it was reported
+router.get('/reports/:reportId', verifyToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const report = mongoose.isValidObjectId(req.params.reportId) && await MessageReport.findById(req.params.reportId)
+      .populate('reporterId', USER_SUMMARY_FIELDS)
+      .populate('senderId', `${USER_SUMMARY_FIELDS} messagingSuspension`)
+      .populate('resolution.resolvedBy', USER_SUMMARY_FIELDS);
+    if (!report) {
+      return res.status(404).json({ err: 'Report not found' });
+    }
+
+    const currentMessage = await Message.findById(report.messageId).select('+editHistory');
+    const otherReports = await MessageReport.countDocuments({ senderId: report.senderId?._id, _id: { $ne: report._id } });
+
+    res.status(200).json({ report, currentMessage, otherReportsAgainstSender: otherReports });
+  } catch (err) {
+    console.error('Get report error:', err);
+    res.status(500).json({ err: 'Failed to fetch report' });
+  }
+});
+
+// Update route - PATCH - /admin/reports/:reportId
+// { status: resolved | dismissed, note, suspendSender, suspensionDays }
+router.patch('/reports/:reportId', verifyToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const { status, note, suspendSender = false, suspensionDays } = req.body;
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return res.status(400).json({ err: 'status must be resolved or dismissed' });
+    }
+    if (suspendSender && status !== 'resolved') {
+      return res.status(400).json({ err: 'Only a resolved report can suspend the sender' });
+    }
+    const daysError = validateSuspensionDays(suspensionDays);
+    if (daysError) {
+      return res.status(400).json({ err: daysError });
+    }
+
+    const report = mongoose.isValidObjectId(req.params.reportId) && await MessageReport.findById(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ err: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+      return res.status(400).json({ err: `Report is already ${report.status}` });
+    }
+
+    let suspendedSender = null;
+    if (suspendSender) {
+      suspendedSender = await suspendMessaging(report.senderId, {
+        days: suspensionDays,
+        reason: note || `Reported message (${report.reason})`,
+        suspendedBy: req.user._id
+      });
+    }
+
+    report.status = status;
+    report.resolution = {
+      resolvedBy: req.user._id,
+      action: suspendedSender ? 'suspended_sender' : 'none',
+      note
+    };
+    await report.save();
+
+    res.status(200).json({
+      message: `Report ${status}`,
+      report,
+      suspendedSender
+    });
+  } catch (err) {
+    console.error('Resolve report error:', err);
+    res.status(500).json({ err: 'Failed to update report' });
+  }
+});
+
+// Create route - POST - /admin/users/:userId/messaging-suspension - { days, reason }
+router.post('/users/:userId/messaging-suspension', verifyToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { days, reason } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ err: 'User not found' });
+    }
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ err: 'Cannot suspend your own messaging' });
+    }
+    const daysError = validateSuspensionDays(days);
+    if (daysError) {
+      return res.status(400).json({ err: daysError });
+    }
+
+    const user = await suspendMessaging(userId, { days, reason, suspendedBy: req.user._id });
+    if (!user) {
+      return res.status(404).json({ err: 'User not found' });
+    }
+
+    res.status(201).json({
+      message: 'Messaging suspended',
+      user
+    });
+  } catch (err) {
+    console.error('Suspend messaging error:', err);
+    res.status(500).json({ err: 'Failed to suspend messaging' });
+  }
+});
+
+// Delete route - DELETE - /admin/users/:userId/messaging-suspension
+router.delete('/users/:userId/messaging-suspension', verifyToken, checkRole(['admin']), async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.userId) && await User.findByIdAndUpdate(
+      req.params.userId,
+      { messagingSuspension: null },
+      { new: true }
+    ).select(USER_SUMMARY_FIELDS);
+    if (!user) {
+      return res.status(404).json({ err: 'User not found' });
+    }
+
+    res.status(200).json({
+      message: 'Messaging suspension lifted',
+      user
+    });
+  } catch (err) {
+    console.error('Lift suspension error:', err);
+    res.status(500).json({ err: 'Failed to lift suspension' });
+  }
+});
+
+module.exports = router;
@@ -6,13 +6,447 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const Availability = require('../models/availability');
 const User = require('../models/user');
+const Booking = require('../models/booking');
+const Service = require('../models/services');
+const Waitlist = require('../models/waitlist');
+const SlotReservation = require('../models/slotReservation');
 const verifyToken = require('../middleware/verify-token');
 const checkRole = require('../middleware/checkRole');
+const {
+  TIME_REGEX,
+  DEFAULT_TIMEZONE,
+  toMinutes,
+  isTimeRangeOrdered,
+  isValidTimezone,
+  toDateKey,
+  resolveDateKey,
+  addDays,
+  startOfDay,
+  getActiveStaff,
+  getStaffAvailability,
+  getStaffSlots,
+  getScheduleConflict
+} = require('../utils/scheduling');
+const { parseCalendar } = require('../utils/ical');
+const { SUPPORTED_HOLIDAY_YEARS, getBahrainHolidays } = require('../utils/holidays');
+const {
+  IMPORT_MODES,
+  eventsToExceptions,
+  holidaysToExceptions,
+  planExceptionImport
+} = require('../utils/exceptionImport');
 
 const router = express.Router();
 
+// .ics uploads are parsed in memory - they are never stored
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/calendar' || file.originalname.toLowerCase().endsWith('.ics')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .ics calendar files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 1024 * 1024, // 1MB
+    files: 1
+  }
+});
+
+// Accept an optional .ics file in the "file" field, answering upload errors with a 400
+function uploadCalendarFile(req, res, next) {
+  calendarUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ err: 'File size too large. Maximum 1MB.' });
+    }
+    return res.status(400).json({ err: err.message });
+  });
+}
+
+// Helper function to validate a cancellation policy - returns an error message or null
+function validateCancellationPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'cancellationPolicy must be an object';
+  }
+  const { freeCancellationHours, lateCancellationFeePercent } = policy;
+  if (freeCancellationHours !== undefined &&
+      (typeof freeCancellationHours !== 'number' || freeCancellationHours < 0 || freeCancellationHours > 720)) {
+    return 'freeCancellationHours must be a number of hours between 0 and 720';
+  }
+  if (lateCancellationFeePercent !== undefined &&
+      (typeof lateCancellationFeePercent !== 'number' || lateCancellationFeePercent < 0 || lateCancellationFeePercent > 100)) {
+    return 'lateCancellationFeePercent must be a number between 0 and 100';
+  }
+  return null;
+}
+
+// Helper function to check a start/end time pair - returns an error message or null
+function validateTimeRange(startTime, endTime, label) {
+  if (!TIME_REGEX.test(String(startTime)) || !TIME_REGEX.test(String(endTime))) {
+    return `${label} times must be in HH:MM AM/PM format (e.g., "09:30 AM")`;
+  }
+  if (!isTimeRangeOrdered(startTime, endTime)) {
+    return `${label} start time must be before its end time`;
+  }
+  return null;
+}
+
+// Helper function to validate a single exception - returns an error message or null
+function validateException(exception) {
+  if (exception.isAvailable !== undefined && typeof exception.isAvailable !== 'boolean') {
+    return 'isAvailable must be true or false';
+  }
+  if (exception.isAvailable !== false && (exception.customStartTime || exception.customEndTime)) {
+    return validateTimeRange(exception.customStartTime, exception.customEndTime, 'Custom');
+  }
+  return null;
+}
+
+// Helper function to validate a break against its day's working hours - returns an error message or null
+function validateBreak(breakTime, schedule) {
+  const rangeError = validateTimeRange(breakTime.startTime, breakTime.endTime, 'Break');
+  if (rangeError) return rangeError;
+
+  if (breakTime.reason !== undefined && !Availability.BREAK_REASONS.includes(breakTime.reason)) {
+    return `Invalid break reason. Must be one of: ${Availability.BREAK_REASONS.join(', ')}`;
+  }
+
+  // "12:00 AM" as an end time means midnight at the end of the day
+  const dayEnd = toMinutes(schedule.endTime) || 24 * 60;
+  const breakEnd = toMinutes(breakTime.endTime) || 24 * 60;
+  if (toMinutes(breakTime.startTime) < toMinutes(schedule.startTime) || breakEnd > dayEnd) {
+    return 'Break must fall within the working hours of the day';
+  }
+  return null;
+}
+
+// Helper function to validate one day's weekly schedule, including its breaks - returns an error message or null
+function validateSchedule(schedule) {
+  if (!Number.isInteger(schedule.dayOfWeek) || schedule.dayOfWeek < 0 || schedule.dayOfWeek > 6) {
+    return 'dayOfWeek must be a whole number from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (schedule.isEnabled !== undefined && typeof schedule.isEnabled !== 'boolean') {
+    return 'isEnabled must be true or false';
+  }
+
+  const rangeError = validateTimeRange(schedule.startTime, schedule.endTime, 'Schedule');
+  if (rangeError) return rangeError;
+
+  if (schedule.slotDuration !== undefined &&
+      (typeof schedule.slotDuration !== 'number' || schedule.slotDuration < 15 || schedule.slotDuration > 480)) {
+    return 'slotDuration must be a number of minutes between 15 and 480';
+  }
+  if (schedule.bufferTime !== undefined &&
+      (typeof schedule.bufferTime !== 'number' || schedule.bufferTime < 0 || schedule.bufferTime > 120)) {
+    return 'bufferTime must be a number of minutes between 0 and 120';
+  }
+
+  if (schedule.breakTimes !== undefined) {
+    if (!Array.isArray(schedule.breakTimes)) return 'breakTimes must be an array';
+    for (const breakTime of schedule.breakTimes) {
+      const breakError = validateBreak(breakTime, schedule);
+      if (breakError) return breakError;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a staff member's fields and normalize their exception dates in place.
+ * Services must belong to the provider. Returns an error message or null.
+ */
+async function validateStaffMember(member, providerId, timeZone) {
+  if (typeof member.name !== 'string' || !member.name.trim()) {
+    return 'Staff member name is required';
+  }
+  if (member.isActive !== undefined && typeof member.isActive !== 'boolean') {
+    return 'isActive must be true or false';
+  }
+
+  if (member.services !== undefined) {
+    if (!Array.isArray(member.services) || !member.services.every(id => mongoose.isValidObjectId(id))) {
+      return 'services must be an array of service ids';
+    }
+    const owned = await Service.countDocuments({ _id: { $in: member.services }, provider: providerId });
+    if (owned !== new Set(member.services.map(String)).size) {
+      return 'Staff services must be services offered by this provider';
+    }
+  }
+
+  if (member.schedules !== undefined) {
+    if (!Array.isArray(member.schedules)) return 'schedules must be an array';
+    for (const schedule of member.schedules) {
+      const scheduleError = validateSchedule(schedule);
+      if (scheduleError) return scheduleError;
+    }
+  }
+
+  if (member.exceptions !== undefined) {
+    const exceptions = Array.isArray(member.exceptions) ? normalizeExceptions(member.exceptions, timeZone) : null;
+    if (!exceptions) return 'Each exception needs a valid date (YYYY-MM-DD)';
+    for (const exception of exceptions) {
+      const exceptionError = validateException(exception);
+      if (exceptionError) return exceptionError;
+    }
+    member.exceptions = exceptions;
+  }
+  return null;
+}
+
+// Helper function to match one exception by id or by "YYYY-MM-DD" date - returns a query condition or null
+function exceptionMatch(ref, timeZone) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(ref)) {
+    const dateKey = resolveDateKey(ref, timeZone);
+    return dateKey ? { date: startOfDay(dateKey, timeZone) } : null;
+  }
+  return mongoose.isValidObjectId(ref) ? { _id: new mongoose.Types.ObjectId(ref) } : null;
+}
+
+// Helper function for the sub-resource routes: only the provider themselves or an admin may edit
+function canEditAvailability(user, providerId) {
+  return user.role === 'admin' || user._id.toString() === providerId;
+}
+
+// Plain copy of an availability document with a change applied, for checkScheduleChange
+function previewAvailability(availability, change) {
+  const candidate = availability.toObject();
+  change(candidate);
+  return candidate;
+}
+
+// Plain copy of a subdocument without its _id, to merge request fields into
+function toPlain(subdoc) {
+  const { _id, ...fields } = subdoc.toObject();
+  return fields;
+}
+
+const SCHEDULE_CONFLICT_ACTIONS = ['keep', 'cancel', 'reschedule'];
+
+// How many days after an affected booking to look for a slot to propose instead
+const RESCHEDULE_SEARCH_DAYS = 14;
+
+// Helper function to read the conflict options of a schedule change from the body or query string
+function getConflictOptions(req) {
+  const options = { ...req.query, ...(req.body || {}) };
+  return {
+    dryRun: options.dryRun === true || options.dryRun === 'true',
+    onConflict: options.onConflict,
+    reason: options.conflictReason
+  };
+}
+
+/**
+ * Upcoming pending or confirmed bookings that would no longer fit the provider's schedule.
+ * candidate is the availability as it would be after the change, as a plain object.
+ */
+async function findAffectedBookings(providerId, candidate) {
+  // Apply the model's defaults (e.g. isEnabled) to fields the request left out
+  const availability = new Availability(candidate);
+  const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+  const bookings = await Booking.find({
+    providerId,
+    status: { $in: ['pending', 'confirmed'] },
+    date: { $gt: new Date() }
+  })
+    .populate('serviceId', 'title price duration bufferTime')
+    .populate('customerId', 'username profile.firstName profile.lastName')
+    .sort({ date: 1 });
+
+  const affected = [];
+  for (const booking of bookings) {
+    const dateKey = toDateKey(booking.date, timeZone);
+    // Bookings with a staff member are checked against that member's calendar
+    const member = booking.staffId && availability.staff.id(booking.staffId);
+    if (booking.staffId && (!member || member.isActive === false)) {
+      affected.push({ booking, dateKey, reason: 'Staff member is no longer available' });
+      continue;
+    }
+    const calendar = member ? getStaffAvailability(availability, member) : availability;
+    const reason = getScheduleConflict(calendar, dateKey, booking.timeSlot, {
+      duration: booking.duration || booking.serviceId?.duration,
+      bufferTime: booking.serviceId?.bufferTime
+    });
+    if (reason) affected.push({ booking, dateKey, reason });
+  }
+  return affected;
+}
+
+function formatAffectedBooking({ booking, dateKey, reason }) {
+  return {
+    bookingId: booking._id,
+    date: dateKey,
+    timeSlot: booking.timeSlot,
+    status: booking.status,
+    service: booking.serviceId?.title,
+    customer: booking.customerId,
+    reason
+  };
+}
+
+/**
+ * Dry-run a schedule change against upcoming bookings before it is saved.
+ * Sends the response and returns null for a dry run, an invalid onConflict, or when bookings
+ * are affected and the request has not chosen how to handle them. Otherwise returns the
+ * affected bookings for resolveAffectedBookings.
+ */
+async function checkScheduleChange(req, res, providerId, candidate) {
+  const { dryRun, onConflict } = getConflictOptions(req);
+
+  if (onConflict !== undefined && !SCHEDULE_CONFLICT_ACTIONS.includes(onConflict)) {
+    res.status(400).json({ err: `Invalid onConflict. Must be one of: ${SCHEDULE_CONFLICT_ACTIONS.join(', ')}` });
+    return null;
+  }
+
+  const affected = await findAffectedBookings(providerId, candidate);
+
+  if (dryRun) {
+    res.json({ dryRun: true, affectedBookings: affected.map(formatAffectedBooking) });
+    return null;
+  }
+
+  if (affected.length > 0 && !onConflict) {
+    res.status(409).json({
+      err: 'This change affects existing bookings. Resend it with onConflict set to keep, cancel or reschedule.',
+      affectedBookings: affected.map(formatAffectedBooking)
+    });
+    return null;
+  }
+
+  return affected;
+}
+
+// First free slot for the booking's service from its own day onwards, or null
+async function findReplacementSlot(availability, { booking, dateKey }) {
+  const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+  const fromKey = [dateKey, toDateKey(new Date(), timeZone)].sort()[1];
+  const toKey = addDays(fromKey, RESCHEDULE_SEARCH_DAYS);
+  const bookedTimesByDay = await Booking.getBookedTimesByStaff(booking.providerId, fromKey, toKey, timeZone);
+  const service = {
+    serviceId: booking.serviceId?._id,
+    duration: booking.duration || booking.serviceId?.duration,
+    bufferTime: booking.serviceId?.bufferTime
+  };
+
+  for (let day = fromKey; day <= toKey; day = addDays(day, 1)) {
+    const bookedTimesByStaff = bookedTimesByDay.get(day);
+    const slot = getStaffSlots(availability, day, service, { bookedTimesByStaff }).slots.find(s => s.available);
+    if (!slot) continue;
+    if (!slot.availableStaff) return slot;
+
+    // Prefer the booking's own staff member, then take the slot as the chosen member covers it
+    const staffId = slot.availableStaff.find(id => booking.staffId?.equals(id)) || slot.availableStaff[0];
+    const memberSlot = getStaffSlots(availability, day, service, { bookedTimesByStaff, staffId }).slots
+      .find(s => s.startsAt.getTime() === slot.startsAt.getTime());
+    return { ...memberSlot, staffId };
+  }
+  return null;
+}
+
+/**
+ * Apply the provider's onConflict choice to the bookings affected by a saved schedule change.
+ * keep leaves them as they are; cancel cancels confirmed bookings and declines pending ones;
+ * reschedule proposes the first free slot from each booking's day onwards to its customer.
+ * Returns one result per booking with its outcome.
+ */
+async function resolveAffectedBookings(affected, availability, req) {
+  const { onConflict, reason } = getConflictOptions(req);
+  const role = req.user.role === 'admin' ? 'admin' : 'provider';
+  const note = reason || 'The provider changed their working hours';
+  const results = [];
+
+  for (const item of affected) {
+    const { booking } = item;
+    const result = formatAffectedBooking(item);
+
+    if (onConflict === 'cancel') {
+      if (booking.status === 'pending' && role === 'provider') {
+        booking.transitionTo('declined', { changedBy: req.user._id, role, reason: note });
+      } else {
+        booking.cancel({
+          changedBy: req.user._id,
+          role,
+          reason: note,
+          policy: availability.cancellationPolicy,
+          price: booking.serviceId?.price || 0
+        });
+      }
+      await booking.save();
+      await SlotReservation.release(booking._id);
+      try {
+        await Waitlist.offerFreedSlots(booking.providerId, toDateKey(booking.date, booking.timezone || DEFAULT_TIMEZONE));
+      } catch (err) {
+        console.error('Waitlist offer error:', err);
+      }
+      results.push({ ...result, outcome: booking.status });
+    } else if (onConflict === 'reschedule') {
+      if (booking.rescheduleRequest) {
+        results.push({ ...result, outcome: 'kept', note: 'Booking already has an open reschedule request' });
+        continue;
+      }
+      const slot = await findReplacementSlot(availability, item);
+      const proposed = slot && await booking.proposeReschedule(slot, {
+        requestedBy: req.user._id,
+        role,
+        reason: note
+      });
+      if (proposed) {
+        results.push({
+          ...result,
+          outcome: 'reschedule_proposed',
+          proposed: {
+            date: toDateKey(slot.startsAt, availability.timezone || DEFAULT_TIMEZONE),
+            timeSlot: slot.startTime
+          }
+        });
+      } else {
+        results.push({ ...result, outcome: 'kept', note: 'No free slot found to propose' });
+      }
+    } else {
+      results.push({ ...result, outcome: 'kept' });
+    }
+  }
+
+  return results;
+}
+
+// Fields of a staff member that can be set from a request body
+const STAFF_FIELDS = ['name', 'services', 'schedules', 'exceptions', 'isActive'];
+
+// Helper function to store exception dates as the start of that day in the provider's timezone.
+// Returns null if any exception has a missing or invalid date.
+function normalizeExceptions(exceptions, timeZone) {
+  const normalized = [];
+  for (const exception of exceptions) {
+    const dateKey = resolveDateKey(exception.date, timeZone);
+    if (!dateKey) return null;
+    normalized.push({ ...exception, date: startOfDay(dateKey, timeZone) });
+  }
+  return normalized;
+}
+
+// Helper function to keep stored exceptions on the same calendar days when the provider's
+// timezone changes - their dates are the start of the day in the old timezone
+function rekeyExceptions(exceptions, fromTimeZone, toTimeZone) {
+  return exceptions.map(exception => {
+    const fields = exception.toObject ? exception.toObject() : exception;
+    return { ...fields, date: startOfDay(toDateKey(fields.date, fromTimeZone), toTimeZone) };
+  });
+}
+
+// Helper function to re-key every staff member's exceptions for a timezone change
+function rekeyStaffExceptions(staff, fromTimeZone, toTimeZone) {
+  return staff.map(member => ({
+    ...member.toObject(),
+    exceptions: rekeyExceptions(member.exceptions, fromTimeZone, toTimeZone)
+  }));
+}
+
 // GET provider's global availability schedule
 router.get('/provider/:providerId', verifyToken, async (req, res) => {
   try {
@@ -55,7 +489,7 @@ router.get('/provider/:providerId', verifyToken, async (req, res) => {
 router.post('/provider/:providerId', verifyToken, async (req, res) => {
   try {
     const { providerId } = req.params;
-    const { schedules, exceptions, timezone, advanceBookingDays } = req.body;
+    const { schedules, exceptions, timezone, advanceBookingDays, cancellationPolicy } = req.body;
 
     // Validate provider exists
     const provider = await User.findById(providerId);
@@ -97,14 +531,45 @@ router.post('/provider/:providerId', verifyToken, async (req, res) => {
       }
     }
 
+    const timeZone = timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(timeZone)) {
+      return res.status(400).json({ err: 'Invalid timezone. Use an IANA timezone name (e.g., "Asia/Bahrain")' });
+    }
+
+    const normalizedExceptions = normalizeExceptions(exceptions || [], timeZone);
+    if (!normalizedExceptions) {
+      return res.status(400).json({ err: 'Each exception needs a valid date (YYYY-MM-DD)' });
+    }
+
     const availabilityData = {
       providerId,
       schedules,
-      exceptions: exceptions || [],
-      timezone: timezone || 'Asia/Bahrain',
+      exceptions: normalizedExceptions,
+      timezone: timeZone,
       advanceBookingDays: advanceBookingDays || 30
     };
 
+    if (cancellationPolicy !== undefined) {
+      const policyError = validateCancellationPolicy(cancellationPolicy);
+      if (policyError) {
+        return res.status(400).json({ err: policyError });
+      }
+      availabilityData.cancellationPolicy = cancellationPolicy;
+    }
+
+    // Bookings that would fall outside the new schedule must be handled before saving.
+    // Fields the request does not replace (e.g. staff) are kept, so check against them too.
+    const existingAvailability = await Availability.findOne({ providerId });
+    const previousTimeZone = existingAvailability?.timezone || DEFAULT_TIMEZONE;
+    if (existingAvailability && previousTimeZone !== timeZone) {
+      availabilityData.staff = rekeyStaffExceptions(existingAvailability.staff, previousTimeZone, timeZone);
+    }
+    const affected = await checkScheduleChange(req, res, providerId, {
+      ...existingAvailability?.toObject(),
+      ...availabilityData
+    });
+    if (!affected) return;
+
     // Create or update provider availability
     const availability = await Availability.findOneAndUpdate(
       { providerId },
@@ -114,7 +579,8 @@ router.post('/provider/:providerId', verifyToken, async (req, res) => {
 
     res.status(201).json({
       message: 'Availability schedule updated successfully',
-      availability
+      availability,
+      affectedBookings: await resolveAffectedBookings(affected, availability, req)
     });
   } catch (err) {
     console.error('Set availability error:', err);
@@ -126,7 +592,7 @@ router.post('/provider/:providerId', verifyToken, async (req, res) => {
 router.patch('/provider/:providerId', verifyToken, async (req, res) => {
   try {
     const { providerId } = req.params;
-    const { schedules, exceptions, timezone, advanceBookingDays } = req.body;
+    const { schedules, exceptions, timezone, advanceBookingDays, cancellationPolicy } = req.body;
 
     // Validate provider exists
     const provider = await User.findById(providerId);
@@ -145,18 +611,53 @@ router.patch('/provider/:providerId', verifyToken, async (req, res) => {
       return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
     }
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ err: 'Invalid timezone. Use an IANA timezone name (e.g., "Asia/Bahrain")' });
+    }
+    const timeZone = timezone || existingAvailability.timezone || DEFAULT_TIMEZONE;
+
     // Build update object
     const updates = {};
     if (schedules !== undefined) updates.schedules = schedules;
-    if (exceptions !== undefined) updates.exceptions = exceptions;
+    if (exceptions !== undefined) {
+      updates.exceptions = Array.isArray(exceptions) ? normalizeExceptions(exceptions, timeZone) : null;
+      if (!updates.exceptions) {
+        return res.status(400).json({ err: 'Each exception needs a valid date (YYYY-MM-DD)' });
+      }
+    }
     if (timezone !== undefined) updates.timezone = timezone;
+
+    // Exceptions the request does not replace stay on the same days in the new timezone
+    const previousTimeZone = existingAvailability.timezone || DEFAULT_TIMEZONE;
+    if (previousTimeZone !== timeZone) {
+      if (exceptions === undefined) {
+        updates.exceptions = rekeyExceptions(existingAvailability.exceptions, previousTimeZone, timeZone);
+      }
+      updates.staff = rekeyStaffExceptions(existingAvailability.staff, previousTimeZone, timeZone);
+    }
     if (advanceBookingDays !== undefined) updates.advanceBookingDays = advanceBookingDays;
+    if (cancellationPolicy !== undefined) {
+      const policyError = validateCancellationPolicy(cancellationPolicy);
+      if (policyError) {
+        return res.status(400).json({ err: policyError });
+      }
+      updates.cancellationPolicy = {
+        ...existingAvailability.cancellationPolicy?.toObject(),
+        ...cancellationPolicy
+      };
+    }
 
     // Validate if schedules are being updated
     if (schedules && (!Array.isArray(schedules) || schedules.length === 0)) {
       return res.status(400).json({ err: 'At least one weekly schedule is required' });
     }
 
+    const affected = await checkScheduleChange(req, res, providerId, {
+      ...existingAvailability.toObject(),
+      ...updates
+    });
+    if (!affected) return;
+
     // Create or update availability
     const availability = await Availability.findOneAndUpdate(
       { providerId },
@@ -166,7 +667,8 @@ router.patch('/provider/:providerId', verifyToken, async (req, res) => {
 
     res.json({
       message: 'Availability updated successfully',
-      availability
+      availability,
+      affectedBookings: await resolveAffectedBookings(affected, availability, req)
     });
   } catch (err) {
     console.error('Update availability error:', err);
@@ -174,6 +676,677 @@ router.patch('/provider/:providerId', verifyToken, async (req, res) => {
   }
 });
 
+// POST add a single exception - { date, isAvailable, customStartTime, customEndTime, reason }
+router.post('/provider/:providerId/exceptions', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const { date, isAvailable, customStartTime, customEndTime, reason } = req.body;
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
+    }
+
+    const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+    const dateKey = resolveDateKey(date, timeZone);
+    if (!dateKey) {
+      return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+
+    const exception = { date: startOfDay(dateKey, timeZone), isAvailable, reason };
+    if (isAvailable !== false) Object.assign(exception, { customStartTime, customEndTime });
+
+    const exceptionError = validateException(exception);
+    if (exceptionError) {
+      return res.status(400).json({ err: exceptionError });
+    }
+
+    if (availability.exceptions.some(e => e.date.getTime() === exception.date.getTime())) {
+      return res.status(409).json({ err: 'An exception already exists for this date. Update it instead.' });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => candidate.exceptions.push(exception))
+    );
+    if (!affected) return;
+
+    // Only added if no exception exists for that date yet, checked again in the same write
+    const updated = await Availability.findOneAndUpdate(
+      { providerId, 'exceptions.date': { $ne: exception.date } },
+      { $push: { exceptions: exception } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ err: 'An exception already exists for this date. Update it instead.' });
+    }
+
+    res.status(201).json({
+      message: 'Exception added successfully',
+      exception: updated.exceptions.find(e => e.date.getTime() === exception.date.getTime()),
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Add exception error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// PATCH update a single exception - :exceptionRef is the exception id or its date (YYYY-MM-DD)
+router.patch('/provider/:providerId/exceptions/:exceptionRef', verifyToken, async (req, res) => {
+  try {
+    const { providerId, exceptionRef } = req.params;
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
+    }
+
+    const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+    const match = exceptionMatch(exceptionRef, timeZone);
+    const existing = match && availability.exceptions.find(e =>
+      match._id ? e._id.equals(match._id) : e.date.getTime() === match.date.getTime()
+    );
+    if (!existing) {
+      return res.status(404).json({ err: 'Exception not found' });
+    }
+
+    const merged = toPlain(existing);
+    for (const field of ['isAvailable', 'customStartTime', 'customEndTime', 'reason']) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+    if (req.body.date !== undefined) {
+      const dateKey = resolveDateKey(req.body.date, timeZone);
+      if (!dateKey) {
+        return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
+      }
+      merged.date = startOfDay(dateKey, timeZone);
+    }
+    // A closed day has no custom hours
+    if (merged.isAvailable === false) {
+      delete merged.customStartTime;
+      delete merged.customEndTime;
+    }
+
+    const exceptionError = validateException(merged);
+    if (exceptionError) {
+      return res.status(400).json({ err: exceptionError });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => {
+        candidate.exceptions = candidate.exceptions.map(e => (e._id.equals(existing._id) ? merged : e));
+      })
+    );
+    if (!affected) return;
+
+    // Moving to another date must not collide with an exception added meanwhile
+    const movesDate = merged.date.getTime() !== existing.date.getTime();
+    const filter = { providerId, 'exceptions._id': existing._id };
+    if (movesDate) {
+      filter.$and = [{ 'exceptions.date': { $ne: merged.date } }];
+    }
+
+    const updated = await Availability.findOneAndUpdate(
+      filter,
+      { $set: { 'exceptions.$[target]': { _id: existing._id, ...merged } } },
+      { new: true, runValidators: true, arrayFilters: [{ 'target._id': existing._id }] }
+    );
+    if (!updated) {
+      return res.status(movesDate ? 409 : 404).json({
+        err: movesDate ? 'An exception already exists for the new date' : 'Exception not found'
+      });
+    }
+
+    res.json({
+      message: 'Exception updated successfully',
+      exception: updated.exceptions.id(existing._id),
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Update exception error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// DELETE a single exception - :exceptionRef is the exception id or its date (YYYY-MM-DD)
+router.delete('/provider/:providerId/exceptions/:exceptionRef', verifyToken, async (req, res) => {
+  try {
+    const { providerId, exceptionRef } = req.params;
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
+    }
+
+    const match = exceptionMatch(exceptionRef, availability.timezone || DEFAULT_TIMEZONE);
+    if (!match) {
+      return res.status(400).json({ err: 'Use an exception id or a date in YYYY-MM-DD format' });
+    }
+
+    // Removing custom hours falls back to the weekly schedule, which may be shorter
+    const isTarget = e => (match._id ? e._id.equals(match._id) : e.date.getTime() === match.date.getTime());
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => {
+        candidate.exceptions = candidate.exceptions.filter(e => !isTarget(e));
+      })
+    );
+    if (!affected) return;
+
+    const elementMatch = match._id ? { 'exceptions._id': match._id } : { 'exceptions.date': match.date };
+    const updated = await Availability.findOneAndUpdate(
+      { providerId, ...elementMatch },
+      { $pull: { exceptions: match } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ err: 'Exception not found' });
+    }
+
+    res.json({
+      message: 'Exception deleted successfully',
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Delete exception error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// PUT create or update one day's weekly schedule - :dayOfWeek is 0 (Sunday) to 6 (Saturday).
+// Fields left out keep their current values; breakTimes, when sent, replaces that day's breaks.
+router.put('/provider/:providerId/schedules/:dayOfWeek', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const dayOfWeek = Number(req.params.dayOfWeek);
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
+    }
+
+    const existing = availability.schedules.find(s => s.dayOfWeek === dayOfWeek);
+    const merged = existing ? toPlain(existing) : { dayOfWeek };
+    const changes = {};
+    for (const field of ['isEnabled', 'startTime', 'endTime', 'slotDuration', 'bufferTime', 'breakTimes']) {
+      if (req.body[field] !== undefined) merged[field] = changes[`schedules.$.${field}`] = req.body[field];
+    }
+    if (existing && Object.keys(changes).length === 0) {
+      return res.status(400).json({ err: 'Nothing to update' });
+    }
+
+    const scheduleError = validateSchedule(merged);
+    if (scheduleError) {
+      return res.status(400).json({ err: scheduleError });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => {
+        candidate.schedules = [...candidate.schedules.filter(s => s.dayOfWeek !== dayOfWeek), merged];
+      })
+    );
+    if (!affected) return;
+
+    // Only the fields sent are written, so breaks added by the break routes and edits to
+    // other days in the meantime are never overwritten
+    const updated = existing
+      ? await Availability.findOneAndUpdate(
+        { providerId, 'schedules._id': existing._id },
+        { $set: changes },
+        { new: true, runValidators: true }
+      )
+      : await Availability.findOneAndUpdate(
+        { providerId, 'schedules.dayOfWeek': { $ne: dayOfWeek } },
+        { $push: { schedules: merged } },
+        { new: true, runValidators: true }
+      );
+    if (!updated) {
+      return res.status(409).json({ err: 'Schedule was changed by another request. Reload and try again.' });
+    }
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Schedule updated successfully' : 'Schedule added successfully',
+      schedule: updated.schedules.find(s => s.dayOfWeek === dayOfWeek),
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Update schedule error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// POST add a break to one day's schedule - { startTime, endTime, reason }
+router.post('/provider/:providerId/schedules/:dayOfWeek/breaks', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const dayOfWeek = Number(req.params.dayOfWeek);
+    const { startTime, endTime, reason } = req.body;
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    const schedule = availability?.schedules.find(s => s.dayOfWeek === dayOfWeek);
+    if (!schedule) {
+      return res.status(404).json({ err: 'No schedule found for this day' });
+    }
+
+    const breakTime = { startTime, endTime, reason };
+    const breakError = validateBreak(breakTime, schedule);
+    if (breakError) {
+      return res.status(400).json({ err: breakError });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => {
+        candidate.schedules.find(s => s._id.equals(schedule._id)).breakTimes.push(breakTime);
+      })
+    );
+    if (!affected) return;
+
+    const breakId = new mongoose.Types.ObjectId();
+    const updated = await Availability.findOneAndUpdate(
+      { providerId, 'schedules._id': schedule._id },
+      { $push: { 'schedules.$.breakTimes': { _id: breakId, ...breakTime } } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ err: 'No schedule found for this day' });
+    }
+
+    res.status(201).json({
+      message: 'Break added successfully',
+      breakTime: updated.schedules.id(schedule._id).breakTimes.id(breakId),
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Add break error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// PATCH update one break of a day's schedule
+router.patch('/provider/:providerId/schedules/:dayOfWeek/breaks/:breakId', verifyToken, async (req, res) => {
+  try {
+    const { providerId, breakId } = req.params;
+    const dayOfWeek = Number(req.params.dayOfWeek);
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    const schedule = availability?.schedules.find(s => s.dayOfWeek === dayOfWeek);
+    const existing = mongoose.isValidObjectId(breakId) && schedule?.breakTimes.id(breakId);
+    if (!existing) {
+      return res.status(404).json({ err: 'Break not found' });
+    }
+
+    const merged = toPlain(existing);
+    for (const field of ['startTime', 'endTime', 'reason']) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+
+    const breakError = validateBreak(merged, schedule);
+    if (breakError) {
+      return res.status(400).json({ err: breakError });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => {
+        const day = candidate.schedules.find(s => s._id.equals(schedule._id));
+        day.breakTimes = day.breakTimes.map(b => (b._id.equals(existing._id) ? merged : b));
+      })
+    );
+    if (!affected) return;
+
+    const updated = await Availability.findOneAndUpdate(
+      { providerId },
+      { $set: { 'schedules.$[day].breakTimes.$[target]': { _id: existing._id, ...merged } } },
+      {
+        new: true,
+        runValidators: true,
+        arrayFilters: [{ 'day._id': schedule._id }, { 'target._id': existing._id }]
+      }
+    );
+
+    const breakTime = updated?.schedules.id(schedule._id)?.breakTimes.id(existing._id);
+    if (!breakTime) {
+      return res.status(404).json({ err: 'Break not found' });
+    }
+
+    res.json({
+      message: 'Break updated successfully',
+      breakTime,
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Update break error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// DELETE one break of a day's schedule
+router.delete('/provider/:providerId/schedules/:dayOfWeek/breaks/:breakId', verifyToken, async (req, res) => {
+  try {
+    const { providerId, breakId } = req.params;
+    const dayOfWeek = Number(req.params.dayOfWeek);
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    if (!mongoose.isValidObjectId(breakId)) {
+      return res.status(404).json({ err: 'Break not found' });
+    }
+
+    const updated = await Availability.findOneAndUpdate(
+      { providerId, schedules: { $elemMatch: { dayOfWeek, 'breakTimes._id': breakId } } },
+      { $pull: { 'schedules.$.breakTimes': { _id: breakId } } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ err: 'Break not found' });
+    }
+
+    res.json({ message: 'Break deleted successfully' });
+  } catch (err) {
+    console.error('Delete break error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * Build and plan an exception import from an uploaded .ics file or the built-in holiday list.
+ * When apply is false nothing is saved and the plan is returned as a preview.
+ */
+async function importExceptions(req, res, { apply }) {
+  try {
+    const { providerId } = req.params;
+    const { source, year, mode = 'skip' } = req.body || {};
+
+    if (req.user.role !== 'admin' && req.user._id.toString() !== providerId) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ err: `Invalid mode. Must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
+    }
+
+    const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+    let entries;
+    let skippedEvents = [];
+
+    if (req.file) {
+      const events = parseCalendar(req.file.buffer.toString('utf8'), { timeZone });
+      if (events.length === 0) {
+        return res.status(400).json({ err: 'No events found in the calendar file' });
+      }
+      ({ entries, skipped: skippedEvents } = eventsToExceptions(events, timeZone));
+    } else if (source === 'holidays') {
+      const holidays = getBahrainHolidays(parseInt(year));
+      if (!holidays) {
+        return res.status(400).json({
+          err: `No holiday list for that year. Supported years: ${SUPPORTED_HOLIDAY_YEARS.join(', ')}`
+        });
+      }
+      entries = holidaysToExceptions(holidays);
+    } else {
+      return res.status(400).json({ err: 'Upload an .ics file or set source to "holidays" with a year' });
+    }
+
+    const plan = planExceptionImport(availability, entries, {
+      mode,
+      timeZone,
+      todayKey: toDateKey(new Date(), timeZone)
+    });
+    const result = {
+      mode,
+      toAdd: plan.toAdd,
+      toMerge: plan.toMerge,
+      skipped: [...skippedEvents, ...plan.skipped]
+    };
+
+    const candidate = previewAvailability(availability, preview => {
+      for (const entry of plan.toAdd) {
+        preview.exceptions.push({ ...entry, date: startOfDay(entry.date, timeZone) });
+      }
+      for (const { existing, incoming } of plan.toMerge) {
+        const index = preview.exceptions.findIndex(e => e._id.equals(existing._id));
+        preview.exceptions[index] = { ...incoming, date: existing.date };
+      }
+    });
+
+    if (!apply) {
+      const affected = await findAffectedBookings(providerId, candidate);
+      return res.json({ preview: true, ...result, affectedBookings: affected.map(formatAffectedBooking) });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId, candidate);
+    if (!affected) return;
+
+    for (const entry of plan.toAdd) {
+      availability.exceptions.push({ ...entry, date: startOfDay(entry.date, timeZone) });
+    }
+    for (const { existing, incoming } of plan.toMerge) {
+      existing.set({
+        isAvailable: incoming.isAvailable,
+        customStartTime: incoming.customStartTime,
+        customEndTime: incoming.customEndTime,
+        reason: incoming.reason
+      });
+    }
+    await availability.save();
+
+    res.json({
+      message: `Imported ${plan.toAdd.length} new and ${plan.toMerge.length} merged exceptions`,
+      ...result,
+      availability,
+      affectedBookings: await resolveAffectedBookings(affected, availability, req)
+    });
+  } catch (err) {
+    console.error('Import exceptions error:', err);
+    res.status(500).json({ err: err.message });
+  }
+}
+
+// POST preview an exception import - multipart "file" (.ics) or { source: "holidays", year }, plus mode (skip|merge)
+router.post('/provider/:providerId/exceptions/import/preview', verifyToken, uploadCalendarFile, (req, res) =>
+  importExceptions(req, res, { apply: false })
+);
+
+// POST import exceptions - same input as the preview
+router.post('/provider/:providerId/exceptions/import', verifyToken, uploadCalendarFile, (req, res) =>
+  importExceptions(req, res, { apply: true })
+);
+
+// GET staff members of a provider
+router.get('/provider/:providerId/staff', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+
+    const availability = await Availability.findOne({ providerId })
+      .populate('staff.services', 'title duration');
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found' });
+    }
+
+    // Customers only see who they can book; the provider and admins also see inactive members
+    const staff = canEditAvailability(req.user, providerId)
+      ? availability.staff
+      : availability.staff.filter(member => member.isActive !== false).map(member => ({
+        _id: member._id,
+        name: member.name,
+        services: member.services
+      }));
+
+    res.json({ staff });
+  } catch (err) {
+    console.error('Get staff error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// POST add a staff member - { name, services, schedules, exceptions, isActive }
+router.post('/provider/:providerId/staff', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
+    }
+
+    const member = {};
+    for (const field of STAFF_FIELDS) {
+      if (req.body[field] !== undefined) member[field] = req.body[field];
+    }
+
+    const staffError = await validateStaffMember(member, providerId, availability.timezone || DEFAULT_TIMEZONE);
+    if (staffError) {
+      return res.status(400).json({ err: staffError });
+    }
+
+    const updated = await Availability.findOneAndUpdate(
+      { providerId },
+      { $push: { staff: member } },
+      { new: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      message: 'Staff member added successfully',
+      staffMember: updated.staff[updated.staff.length - 1]
+    });
+  } catch (err) {
+    console.error('Add staff member error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// PATCH update a staff member - bookings they can no longer take go through the onConflict check
+router.patch('/provider/:providerId/staff/:staffId', verifyToken, async (req, res) => {
+  try {
+    const { providerId, staffId } = req.params;
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found. Create it first with POST.' });
+    }
+
+    const existing = mongoose.isValidObjectId(staffId) && availability.staff.id(staffId);
+    if (!existing) {
+      return res.status(404).json({ err: 'Staff member not found' });
+    }
+
+    const merged = toPlain(existing);
+    for (const field of STAFF_FIELDS) {
+      if (req.body[field] !== undefined) merged[field] = req.body[field];
+    }
+
+    const staffError = await validateStaffMember(merged, providerId, availability.timezone || DEFAULT_TIMEZONE);
+    if (staffError) {
+      return res.status(400).json({ err: staffError });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => {
+        candidate.staff = candidate.staff.map(m => (m._id.equals(existing._id) ? { _id: existing._id, ...merged } : m));
+      })
+    );
+    if (!affected) return;
+
+    const updated = await Availability.findOneAndUpdate(
+      { providerId, 'staff._id': existing._id },
+      { $set: { 'staff.$': { _id: existing._id, ...merged } } },
+      { new: true, runValidators: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ err: 'Staff member not found' });
+    }
+
+    res.json({
+      message: 'Staff member updated successfully',
+      staffMember: updated.staff.id(existing._id),
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Update staff member error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
+// DELETE remove a staff member - their upcoming bookings go through the onConflict check
+router.delete('/provider/:providerId/staff/:staffId', verifyToken, async (req, res) => {
+  try {
+    const { providerId, staffId } = req.params;
+
+    if (!canEditAvailability(req.user, providerId)) {
+      return res.status(403).json({ err: 'Access denied - can only update own availability' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Availability schedule not found' });
+    }
+
+    const existing = mongoose.isValidObjectId(staffId) && availability.staff.id(staffId);
+    if (!existing) {
+      return res.status(404).json({ err: 'Staff member not found' });
+    }
+
+    const affected = await checkScheduleChange(req, res, providerId,
+      previewAvailability(availability, candidate => {
+        candidate.staff = candidate.staff.filter(m => !m._id.equals(existing._id));
+      })
+    );
+    if (!affected) return;
+
+    const updated = await Availability.findOneAndUpdate(
+      { providerId },
+      { $pull: { staff: { _id: existing._id } } },
+      { new: true }
+    );
+
+    res.json({
+      message: 'Staff member removed successfully',
+      staffMember: existing,
+      affectedBookings: await resolveAffectedBookings(affected, updated, req)
+    });
+  } catch (err) {
+    console.error('Delete staff member error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
+
 // DELETE provider's entire availability schedule
 router.delete('/provider/:providerId', verifyToken, async (req, res) => {
   try {
@@ -210,7 +1383,8 @@ router.delete('/provider/:providerId', verifyToken, async (req, res) => {
 router.get('/provider/:providerId/slots', verifyToken, async (req, res) => {
   try {
     const { providerId } = req.params;
-    const { date, serviceId } = req.query; // serviceId optional for future service-specific overrides
+    // serviceId optional - sizes slots by that service's duration; staffId optional - one staff member's slots
+    const { date, serviceId, staffId } = req.query;
 
     // Validate provider exists
     const provider = await User.findById(providerId);
@@ -227,66 +1401,55 @@ router.get('/provider/:providerId/slots', verifyToken, async (req, res) => {
       return res.status(403).json({ err: 'Access denied - invalid user role for viewing slots' });
     }
 
-    // Validate date
-    const requestedDate = new Date(date);
-    if (isNaN(requestedDate.getTime())) {
-      return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
-    }
-
     // Get provider availability
     const availability = await Availability.findOne({ providerId });
     if (!availability) {
       return res.status(404).json({ err: 'Provider has not set up availability schedule' });
     }
 
-    // Get day of week (0 = Sunday, 6 = Saturday)
-    const dayOfWeek = requestedDate.getDay();
-
-    // Find schedule for this day
-    const schedule = availability.schedules.find(s => s.dayOfWeek === dayOfWeek && s.isEnabled);
-    if (!schedule) {
-      return res.json({ slots: [], message: 'No available slots for this day' });
+    // Validate date - interpreted as a calendar day in the provider's timezone
+    const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+    const dateKey = resolveDateKey(date, timeZone);
+    if (!dateKey) {
+      return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
     }
 
-    // Check for date-specific exceptions
-    const dateStr = requestedDate.toISOString().split('T')[0];
-    const exception = availability.exceptions.find(e => e.date.toISOString().split('T')[0] === dateStr);
+    let service = null;
+    if (serviceId) {
+      service = await findProviderService(serviceId, providerId);
+      if (!service) {
+        return res.status(404).json({ err: 'Service not found for this provider' });
+      }
+    }
 
-    // If date has exception and is marked unavailable
-    if (exception && !exception.isAvailable) {
-      return res.json({ slots: [], message: exception.reason || 'Unavailable due to exception' });
+    if (staffId && !getActiveStaff(availability).some(member => member._id.toString() === staffId)) {
+      return res.status(404).json({ err: 'Staff member not found for this provider' });
     }
 
-    // Use exception times if specified, otherwise use regular schedule times
-    let startTime = schedule.startTime;
-    let endTime = schedule.endTime;
+    const bookedTimesByDay = await getBookedTimesForViewer(providerId, dateKey, dateKey, timeZone, req.user);
 
-    if (exception && exception.customStartTime) {
-      startTime = exception.customStartTime;
-    }
-    if (exception && exception.customEndTime) {
-      endTime = exception.customEndTime;
-    }
+    // For providers with staff, a slot is free while any eligible staff member is
+    const { slots, day } = getStaffSlots(availability, dateKey, {
+      serviceId: service?._id,
+      duration: service?.duration,
+      bufferTime: service?.bufferTime
+    }, { bookedTimesByStaff: bookedTimesByDay.get(dateKey), staffId });
 
-    // Generate time slots based on schedule
-    const timeSlots = generateTimeSlots(
-      startTime,
-      endTime,
-      schedule.slotDuration,
-      schedule.bufferTime,
-      schedule.breakTimes || [],
-      requestedDate
-    );
+    if (!day.isOpen) {
+      return res.json({ slots: [], date: dateKey, message: day.reason, timezone: timeZone });
+    }
 
     res.json({
-      slots: timeSlots,
+      date: dateKey,
+      slots,
       schedule: {
-        startTime,
-        endTime,
-        slotDuration: schedule.slotDuration,
-        bufferTime: schedule.bufferTime
+        startTime: day.startTime,
+        endTime: day.endTime,
+        slotDuration: day.slotDuration,
+        bufferTime: day.bufferTime,
+        serviceDuration: service?.duration || day.slotDuration
       },
-      timezone: availability.timezone
+      timezone: timeZone
     });
   } catch (err) {
     console.error('Get slots error:', err);
@@ -294,74 +1457,117 @@ router.get('/provider/:providerId/slots', verifyToken, async (req, res) => {
   }
 });
 
-// Helper function to generate time slots
-function generateTimeSlots(startTime, endTime, slotDuration, bufferTime, breakTimes, date) {
-  const slots = [];
+// GET day-by-day availability calendar for a date range
+router.get('/provider/:providerId/calendar', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const { from, to, serviceId, staffId } = req.query;
 
-  // Parse start and end times (assuming format HH:MM AM/PM)
-  const start = parseTimeString(startTime);
-  const end = parseTimeString(endTime);
+    // Validate provider exists
+    const provider = await User.findById(providerId);
+    if (!provider) {
+      return res.status(404).json({ err: 'Provider not found' });
+    }
 
-  let currentTime = new Date(date);
-  currentTime.setHours(start.hours, start.minutes, 0, 0);
+    // Same access rules as the slots route
+    const isProviderViewingOwn = req.user._id.toString() === providerId;
+    const isAdmin = req.user.role === 'admin';
+    const isCustomer = req.user.role === 'customer';
 
-  const endDateTime = new Date(date);
-  endDateTime.setHours(end.hours, end.minutes, 0, 0);
+    if (!isProviderViewingOwn && !isAdmin && !isCustomer) {
+      return res.status(403).json({ err: 'Access denied - invalid user role for viewing calendar' });
+    }
 
-  // Generate slots until end time
-  while (currentTime < endDateTime) {
-    const slotEndTime = new Date(currentTime.getTime() + (slotDuration * 60000));
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(404).json({ err: 'Provider has not set up availability schedule' });
+    }
 
-    // Check if slot overlaps with break times
-    const isDuringBreak = breakTimes.some(breakTime => {
-      const breakStart = parseTimeString(breakTime.startTime);
-      const breakEnd = parseTimeString(breakTime.endTime);
+    const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+    const today = toDateKey(new Date(), timeZone);
+    const lastBookableDay = addDays(today, availability.advanceBookingDays);
 
-      const slotStartHour = currentTime.getHours();
-      const slotEndHour = slotEndTime.getHours();
+    let fromKey = from ? resolveDateKey(from, timeZone) : today;
+    let toKey = to ? resolveDateKey(to, timeZone) : lastBookableDay;
+    if (!fromKey || !toKey) {
+      return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+    if (fromKey > toKey) {
+      return res.status(400).json({ err: '"from" must be on or before "to"' });
+    }
 
-      return (slotStartHour >= breakStart.hours || (slotStartHour === breakStart.hours && currentTime.getMinutes() >= breakStart.minutes)) &&
-             (slotEndHour <= breakEnd.hours || (slotEndHour === breakEnd.hours && slotEndTime.getMinutes() <= breakEnd.minutes));
-    });
+    // Only today through the advance booking window can be booked
+    if (fromKey < today) fromKey = today;
+    if (toKey > lastBookableDay) toKey = lastBookableDay;
 
-    if (!isDuringBreak && slotEndTime <= endDateTime) {
-      slots.push({
-        startTime: formatTimeString(currentTime),
-        endTime: formatTimeString(slotEndTime),
-        available: true
-      });
+    let service = null;
+    if (serviceId) {
+      service = await findProviderService(serviceId, providerId);
+      if (!service) {
+        return res.status(404).json({ err: 'Service not found for this provider' });
+      }
     }
 
-    // Move to next slot with buffer time
-    currentTime = new Date(slotEndTime.getTime() + (bufferTime * 60000));
-  }
+    if (staffId && !getActiveStaff(availability).some(member => member._id.toString() === staffId)) {
+      return res.status(404).json({ err: 'Staff member not found for this provider' });
+    }
 
-  return slots;
-}
+    const bookedTimesByDay = await getBookedTimesForViewer(providerId, fromKey, toKey, timeZone, req.user);
+    const now = new Date();
+    const days = [];
+
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDays(dateKey, 1)) {
+      const { slots: markedSlots, day } = getStaffSlots(availability, dateKey, {
+        serviceId: service?._id,
+        duration: service?.duration,
+        bufferTime: service?.bufferTime
+      }, { bookedTimesByStaff: bookedTimesByDay.get(dateKey), staffId, now });
+
+      if (!day.isOpen) {
+        days.push(day.exception
+          ? { date: dateKey, status: 'exception', reason: day.reason }
+          : { date: dateKey, status: 'closed' });
+        continue;
+      }
 
-// Helper function to parse time string (e.g., "09:30 AM")
-function parseTimeString(timeStr) {
-  const match = timeStr.match(/^(\d{1,2}):(\d{2})\s?(AM|PM)$/i);
-  if (!match) return null;
+      const freeSlots = markedSlots.filter(slot => slot.available);
 
-  let hours = parseInt(match[1]);
-  const minutes = parseInt(match[2]);
-  const period = match[3].toUpperCase();
+      let status = 'open';
+      if (freeSlots.length === 0) {
+        status = markedSlots.some(slot => slot.unavailableReason === 'booked') ? 'fully_booked' : 'closed';
+      }
 
-  if (period === 'PM' && hours !== 12) hours += 12;
-  if (period === 'AM' && hours === 12) hours = 0;
+      const calendarDay = { date: dateKey, status };
+      if (day.exception?.reason) calendarDay.reason = day.exception.reason;
+      if (status === 'open') calendarDay.slots = freeSlots;
+      days.push(calendarDay);
+    }
 
-  return { hours, minutes };
-}
+    res.json({
+      from: fromKey,
+      to: toKey,
+      timezone: timeZone,
+      days
+    });
+  } catch (err) {
+    console.error('Get calendar error:', err);
+    res.status(500).json({ err: err.message });
+  }
+});
 
-// Helper function to format time back to string
-function formatTimeString(date) {
-  const hours = date.getHours();
-  const minutes = date.getMinutes().toString().padStart(2, '0');
-  const period = hours >= 12 ? 'PM' : 'AM';
-  const displayHours = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
+// Helper function for the slots and calendar routes: slots held by pending or confirmed
+// bookings and by waitlist offers, except those held for the requesting customer. Lapsed
+// offers are expired first so their slots show as free.
+async function getBookedTimesForViewer(providerId, fromKey, toKey, timeZone, user) {
+  await Waitlist.expireOffers({ providerId, date: { $gte: fromKey, $lte: toKey } });
+  return Booking.getBookedTimesByStaff(providerId, fromKey, toKey, timeZone, { heldFor: user._id });
+}
 
-  return `${displayHours}:${minutes} ${period}`;
+// Helper function to load a service offered by the provider, or null if it is not theirs
+async function findProviderService(serviceId, providerId) {
+  const service = await Service.findById(serviceId);
+  if (!service || service.provider.toString() !== providerId) return null;
+  return service;
 }
 
 module.exports = router;
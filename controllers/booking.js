@@ -1,8 +1,26 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Booking = require('../models/booking');
 const Availability = require('../models/availability');
+const Service = require('../models/services');
+const SlotReservation = require('../models/slotReservation');
+const BookingSeries = require('../models/bookingSeries');
+const Waitlist = require('../models/waitlist');
 const verifyToken = require('../middleware/verify-token');
 const checkRole = require('../middleware/checkRole');
+const {
+  TIME_REGEX,
+  DEFAULT_TIMEZONE,
+  toMinutes,
+  toDateKey,
+  resolveDateKey,
+  addDays,
+  startOfDay,
+  slotDateTime,
+  getActiveStaff,
+  getStaffSlots
+} = require('../utils/scheduling');
+const { renderCalendar } = require('../utils/ical');
 
 /**
  * Helper function to format dates in DD/MM/YYYY format for Bahrain/GCC display
@@ -14,6 +32,373 @@ function formatDateDDMMYYYY(date) {
   return `${day}/${month}/${year}`;
 }
 
+/**
+ * Resolve which side of the booking the user acts as (customer, provider or admin)
+ */
+function getBookingRole(booking, user) {
+  if (user.role === 'admin') return 'admin';
+
+  const userId = user._id.toString();
+  const providerId = (booking.providerId._id || booking.providerId).toString();
+  const customerId = (booking.customerId._id || booking.customerId).toString();
+
+  if (userId === providerId) return 'provider';
+  if (userId === customerId) return 'customer';
+  return null;
+}
+
+// Fields populated for the customer and provider on booking responses
+const USER_SUMMARY_FIELDS = 'username profile.firstName profile.lastName';
+const SERVICE_SUMMARY_FIELDS = 'title price duration';
+
+const BOOKING_SORTS = {
+  date: { date: 1, createdAt: 1 },
+  '-date': { date: -1, createdAt: -1 },
+  createdAt: { createdAt: 1 },
+  '-createdAt': { createdAt: -1 }
+};
+
+/**
+ * Build a paginated booking query from the list filters in req.query.
+ * baseFilter scopes the query to the user's own bookings.
+ * Returns { err } on invalid input, otherwise { filter, sort, page, limit }.
+ */
+async function buildBookingListQuery(query, baseFilter, defaultSort) {
+  const filter = { ...baseFilter };
+  const { status, serviceId, customerId, providerId, from, to } = query;
+
+  if (status) {
+    const statuses = status.split(',');
+    if (statuses.some(s => !Booking.STATUSES.includes(s))) {
+      return { err: `Invalid status. Must be one of: ${Booking.STATUSES.join(', ')}` };
+    }
+    filter.status = { $in: statuses };
+  }
+
+  for (const [key, value] of Object.entries({ serviceId, customerId, providerId })) {
+    if (!value || filter[key]) continue;
+    if (!mongoose.isValidObjectId(value)) {
+      return { err: `Invalid ${key}` };
+    }
+    filter[key] = value;
+  }
+
+  if (from || to) {
+    // Date range is read as calendar days in the provider's timezone
+    const availability = filter.providerId
+      ? await Availability.findOne({ providerId: filter.providerId }).select('timezone')
+      : null;
+    const timeZone = availability?.timezone || DEFAULT_TIMEZONE;
+    const fromKey = from ? resolveDateKey(from, timeZone) : null;
+    const toKey = to ? resolveDateKey(to, timeZone) : null;
+    if ((from && !fromKey) || (to && !toKey)) {
+      return { err: 'Invalid date format. Use YYYY-MM-DD.' };
+    }
+    if (fromKey && toKey && fromKey > toKey) {
+      return { err: 'from must be on or before to' };
+    }
+
+    filter.date = {};
+    if (fromKey) filter.date.$gte = startOfDay(fromKey, timeZone);
+    if (toKey) filter.date.$lt = startOfDay(addDays(toKey, 1), timeZone);
+  }
+
+  const sortKey = query.sort || defaultSort;
+  if (!BOOKING_SORTS[sortKey]) {
+    return { err: `Invalid sort. Must be one of: ${Object.keys(BOOKING_SORTS).join(', ')}` };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+
+  return { filter, sort: BOOKING_SORTS[sortKey], page, limit };
+}
+
+/**
+ * Send one page of bookings in the same shape as the message routes
+ */
+async function sendBookingPage(res, { filter, sort, page, limit }) {
+  const bookings = await Booking.find(filter)
+    .populate('serviceId', SERVICE_SUMMARY_FIELDS)
+    .populate('customerId', USER_SUMMARY_FIELDS)
+    .populate('providerId', USER_SUMMARY_FIELDS)
+    .sort(sort)
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const totalBookings = await Booking.countDocuments(filter);
+  const totalPages = Math.ceil(totalBookings / limit);
+
+  return res.status(200).json({
+    bookings,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalBookings,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
+    }
+  });
+}
+
+const UNAVAILABLE_SLOT_REASONS = {
+  booked: 'Slot is already booked',
+  past: 'Slot is in the past',
+  outside_booking_window: "Slot is beyond the provider's advance booking window"
+};
+
+/**
+ * Check the requested slot against the provider's bookable slots for a day, sized by the
+ * service's duration. bookedTimesByStaff is one day's entry from Booking.getBookedTimesByStaff.
+ *
+ * Returns { slot, staffSlots } when it can be booked, otherwise { slot: null, reason }.
+ * For providers with staff, staffSlots holds the slot as each free staff member would take it
+ * (with its staffId), and slot is the first of them. Pass staffId to only consider one member.
+ */
+function checkRequestedSlot(availability, service, dateKey, timeSlot, bookedTimesByStaff = new Map(), staffId) {
+  const serviceOptions = {
+    serviceId: service._id,
+    duration: service.duration,
+    bufferTime: service.bufferTime
+  };
+  const { slots, day } = getStaffSlots(availability, dateKey, serviceOptions, { bookedTimesByStaff, staffId });
+  if (!day.isOpen) {
+    return { slot: null, reason: day.reason };
+  }
+
+  const slot = slots.find(s => toMinutes(s.startTime) === toMinutes(timeSlot));
+  if (!slot) {
+    return { slot: null, reason: 'Time slot is not offered on this day' };
+  }
+  if (!slot.available) {
+    return { slot: null, reason: UNAVAILABLE_SLOT_REASONS[slot.unavailableReason] };
+  }
+  if (!slot.availableStaff) {
+    return { slot, staffSlots: [slot] };
+  }
+
+  // Staff schedules can differ, so each member's slot may cover different base slots
+  const staffSlots = slot.availableStaff.map(memberId => {
+    const { slots: memberSlots } = getStaffSlots(availability, dateKey, serviceOptions, {
+      bookedTimesByStaff,
+      staffId: memberId
+    });
+    const memberSlot = memberSlots.find(s => s.startsAt.getTime() === slot.startsAt.getTime());
+    return { ...memberSlot, staffId: memberId };
+  });
+  return { slot: staffSlots[0], staffSlots };
+}
+
+/**
+ * Create a pending booking for a bookable slot. The slots are reserved before the booking
+ * is saved - the unique index makes this the single point where concurrent requests for
+ * overlapping slots are decided. Returns null when another booking already holds them.
+ */
+async function createBookingForSlot({ service, customerId, slot, timeZone, user, seriesId }) {
+  const booking = new Booking({
+    serviceId: service._id,
+    customerId,
+    providerId: service.provider,
+    // Store the slot as generated ("9:00 AM") so "09:00 AM" and "9:00 AM" never differ,
+    // and the date as the slot's absolute start instant
+    date: slot.startsAt,
+    timeSlot: slot.startTime,
+    timezone: timeZone,
+    duration: slot.duration,
+    reservedSlots: slot.coveredSlots,
+    staffId: slot.staffId,
+    seriesId,
+    status: 'pending',
+    statusHistory: [{
+      status: 'pending',
+      changedBy: user._id,
+      role: user.role === 'admin' ? 'admin' : 'customer'
+    }]
+  });
+
+  // A slot held for this customer from the waitlist is theirs to book - the hold becomes
+  // the reservation, and stays theirs if the reservation fails
+  try {
+    await SlotReservation.reserve(booking, { heldFor: customerId });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  try {
+    await booking.save();
+  } catch (err) {
+    await SlotReservation.release(booking._id);
+    throw err;
+  }
+  await SlotReservation.confirm(booking._id);
+
+  // The booking is made; closing the customer's waitlist entries must not fail the request
+  try {
+    await SlotReservation.releaseHoldsFor(customerId, {
+      providerId: service.provider,
+      day: toDateKey(slot.startsAt, timeZone),
+      timeSlots: slot.coveredSlots
+    });
+    await Waitlist.markBooked(booking);
+  } catch (err) {
+    console.error('Waitlist update error:', err);
+  }
+
+  return booking;
+}
+
+/**
+ * Offer a freed slot to the provider's waitlist for that day.
+ * Failures are logged only - they must not undo the cancellation that freed the slot.
+ */
+async function offerFreedSlot(providerId, date, timeZone) {
+  try {
+    await Waitlist.offerFreedSlots(providerId, toDateKey(date, timeZone || DEFAULT_TIMEZONE));
+  } catch (err) {
+    console.error('Waitlist offer error:', err);
+  }
+}
+
+/**
+ * Cancel a booking under its provider's cancellation policy (the booking is not saved here)
+ */
+async function applyCancellation(booking, { user, role, reason }) {
+  const [availability, service] = await Promise.all([
+    Availability.findOne({ providerId: booking.providerId }),
+    Service.findById(booking.serviceId)
+  ]);
+
+  return booking.cancel({
+    changedBy: user._id,
+    role,
+    reason,
+    policy: availability?.cancellationPolicy,
+    price: service?.price || 0
+  });
+}
+
+const MAX_SERIES_OCCURRENCES = 52;
+
+/**
+ * Validate a recurring booking request and check every occurrence against the provider's
+ * schedule, exceptions and existing bookings.
+ * Returns { status, err } for an invalid request, otherwise the series plan.
+ */
+async function planSeries(body, user) {
+  const { serviceId, customerId, providerId, startDate, endDate, timeSlot } = body;
+  const intervalWeeks = body.intervalWeeks ?? 1;
+  const count = body.count;
+
+  if (user._id.toString() !== customerId && user.role !== 'admin') {
+    return { status: 403, err: 'You can only book as a customer' };
+  }
+
+  if (!serviceId || !customerId || !providerId || !startDate || !timeSlot) {
+    return { status: 400, err: 'serviceId, customerId, providerId, startDate, and timeSlot are required' };
+  }
+
+  if (count == null && !endDate) {
+    return { status: 400, err: 'Either count or endDate is required' };
+  }
+
+  if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1 || intervalWeeks > 12) {
+    return { status: 400, err: 'intervalWeeks must be a whole number between 1 and 12' };
+  }
+
+  if (count != null && (!Number.isInteger(count) || count < 1 || count > MAX_SERIES_OCCURRENCES)) {
+    return { status: 400, err: `count must be a whole number between 1 and ${MAX_SERIES_OCCURRENCES}` };
+  }
+
+  if (!TIME_REGEX.test(timeSlot)) {
+    return { status: 400, err: 'Invalid timeSlot format. Use format: "HH:MM AM" or "HH:MM PM"' };
+  }
+
+  const service = await Service.findById(serviceId);
+  if (!service) {
+    return { status: 400, err: 'Service not found' };
+  }
+
+  if (service.provider.toString() !== providerId) {
+    return { status: 400, err: 'Service does not belong to this provider' };
+  }
+
+  const availability = await Availability.findOne({ providerId });
+  if (!availability) {
+    return { status: 400, err: 'Provider has no availability schedule configured.' };
+  }
+
+  const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+  const startKey = resolveDateKey(startDate, timeZone);
+  const endKey = endDate ? resolveDateKey(endDate, timeZone) : null;
+  if (!startKey || (endDate && !endKey)) {
+    return { status: 400, err: 'Invalid date format. Use YYYY-MM-DD.' };
+  }
+
+  const dateKeys = [];
+  for (let dateKey = startKey; ; dateKey = addDays(dateKey, 7 * intervalWeeks)) {
+    if (count != null && dateKeys.length >= count) break;
+    if (endKey && dateKey > endKey) break;
+    dateKeys.push(dateKey);
+    if (dateKeys.length > MAX_SERIES_OCCURRENCES) {
+      return { status: 400, err: `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences` };
+    }
+  }
+
+  if (dateKeys.length === 0) {
+    return { status: 400, err: 'endDate must be on or after startDate' };
+  }
+
+  // Every occurrence has to fall inside the advance booking window - a series is not a way
+  // to book further ahead than a single booking could
+  const { advanceBookingDays } = availability;
+  if (advanceBookingDays !== undefined && advanceBookingDays !== null) {
+    const lastBookableDay = addDays(toDateKey(new Date(), timeZone), advanceBookingDays);
+    if (dateKeys[dateKeys.length - 1] > lastBookableDay) {
+      const maxOccurrences = dateKeys.filter(dateKey => dateKey <= lastBookableDay).length;
+      return {
+        status: 400,
+        err: `This provider takes bookings up to ${advanceBookingDays} days ahead, so a series can run ` +
+          `until ${lastBookableDay} at the latest (${maxOccurrences} occurrences from this startDate)`
+      };
+    }
+  }
+
+  const bookedTimesByDay = await Booking.getBookedTimesByStaff(
+    providerId, dateKeys[0], dateKeys[dateKeys.length - 1], timeZone, { heldFor: customerId }
+  );
+
+  const occurrences = dateKeys.map(dateKey => {
+    const { slot, reason } = checkRequestedSlot(
+      availability, service, dateKey, timeSlot, bookedTimesByDay.get(dateKey), body.staffId
+    );
+    return { date: dateKey, slot, available: !!slot, reason };
+  });
+
+  return {
+    service,
+    customerId,
+    timeZone,
+    intervalWeeks,
+    count,
+    startKey,
+    endKey,
+    timeSlot: occurrences.find(o => o.slot)?.slot.startTime || timeSlot,
+    occurrences
+  };
+}
+
+// Public view of a planned occurrence
+function formatOccurrence({ date, slot, available, reason }) {
+  return {
+    date,
+    startsAt: slot?.startsAt,
+    endsAt: slot?.endsAt,
+    available,
+    ...(reason ? { reason } : {})
+  };
+}
+
 const router = express.Router();
 
 /**
@@ -21,7 +406,7 @@ const router = express.Router();
  */
 router.post('/', verifyToken, async (req, res) => {
   try {
-    const { serviceId, customerId, providerId, date, timeSlot } = req.body;
+    const { serviceId, customerId, providerId, date, timeSlot, staffId } = req.body;
 
     if (req.user._id.toString() !== customerId && req.user.role !== 'admin') {
       return res.status(403).json({ err: 'You can only book as a customer' });
@@ -33,7 +418,6 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
-    const Service = require('../models/services');
     const service = await Service.findById(serviceId);
     if (!service) {
       return res.status(400).json({ err: 'Service not found' });
@@ -43,13 +427,7 @@ router.post('/', verifyToken, async (req, res) => {
       return res.status(400).json({ err: 'Service does not belong to this provider' });
     }
 
-    const bookingDate = new Date(date);
-    if (bookingDate <= new Date()) {
-      return res.status(400).json({ err: 'Booking date must be in the future' });
-    }
-
-    const timeSlotRegex = /^(0?[1-9]|1[0-2]):([0-5]\d)\s?(AM|PM)$/i;
-    if (!timeSlotRegex.test(timeSlot)) {
+    if (!TIME_REGEX.test(timeSlot)) {
       return res.status(400).json({
         err: 'Invalid timeSlot format. Use format: "HH:MM AM" or "HH:MM PM"'
       });
@@ -62,40 +440,59 @@ router.post('/', verifyToken, async (req, res) => {
       });
     }
 
-    const availableSlots = await getAvailableSlotsInternal(providerId, bookingDate);
+    // Dates and times are interpreted in the provider's timezone
+    const timeZone = providerAvailability.timezone || DEFAULT_TIMEZONE;
+    const dateKey = resolveDateKey(date, timeZone);
+    if (!dateKey) {
+      return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+
+    if (slotDateTime(dateKey, timeSlot, timeZone) <= new Date()) {
+      return res.status(400).json({ err: 'Booking date must be in the future' });
+    }
+
+    if (staffId && !getActiveStaff(providerAvailability, serviceId).some(m => m._id.toString() === staffId)) {
+      return res.status(400).json({ err: 'Staff member not found or does not perform this service' });
+    }
 
-    const slotAvailable = availableSlots.some(slot =>
-      slot.startTime === timeSlot && slot.available
+    // Slots are sized by the booked service's duration and buffer
+    const bookedTimesByDay = await Booking.getBookedTimesByStaff(
+      providerId, dateKey, dateKey, timeZone, { heldFor: customerId }
+    );
+    const { slot, staffSlots, reason } = checkRequestedSlot(
+      providerAvailability, service, dateKey, timeSlot, bookedTimesByDay.get(dateKey), staffId
     );
 
-    if (!slotAvailable) {
+    if (!slot) {
+      if (reason === UNAVAILABLE_SLOT_REASONS.booked) {
+        return res.status(409).json({
+          err: 'This provider is already booked for the selected time slot'
+        });
+      }
       return res.status(400).json({
         err: 'Selected time slot is not available.'
       });
     }
 
-    const conflictingBooking = await Booking.findOne({
-      providerId,
-      date: bookingDate,
-      timeSlot,
-      status: { $in: ['pending', 'confirmed'] }
-    });
+    // Without a requested staff member, assign the first one still free when the slot is reserved
+    let booking = null;
+    for (const candidate of staffSlots) {
+      booking = await createBookingForSlot({
+        service,
+        customerId,
+        slot: candidate,
+        timeZone,
+        user: req.user
+      });
+      if (booking) break;
+    }
 
-    if (conflictingBooking) {
+    if (!booking) {
       return res.status(409).json({
         err: 'This provider is already booked for the selected time slot'
       });
     }
 
-    const booking = await Booking.create({
-      serviceId,
-      customerId,
-      providerId,
-      date: bookingDate,
-      timeSlot,
-      status: 'pending'
-    });
-
     return res.status(201).json({
       message: 'Booking created successfully',
       booking
@@ -107,31 +504,214 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 /**
- * Get provider bookings (provider only)
+ * Preview a recurring booking series - reports which dates can be booked and which conflict
+ */
+router.post('/series/preview', verifyToken, async (req, res) => {
+  try {
+    const plan = await planSeries(req.body, req.user);
+    if (plan.err) return res.status(plan.status).json({ err: plan.err });
+
+    return res.json({
+      timeSlot: plan.timeSlot,
+      intervalWeeks: plan.intervalWeeks,
+      timezone: plan.timeZone,
+      occurrences: plan.occurrences.map(formatOccurrence),
+      conflicts: plan.occurrences.filter(o => !o.available).length
+    });
+  } catch (err) {
+    return res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * Create a recurring booking series (customer or admin only).
+ * Conflicting dates fail the request unless skipConflicts is set, in which case only
+ * the available dates are booked.
+ */
+router.post('/series', verifyToken, async (req, res) => {
+  try {
+    const plan = await planSeries(req.body, req.user);
+    if (plan.err) return res.status(plan.status).json({ err: plan.err });
+
+    const conflicts = plan.occurrences.filter(o => !o.available);
+    if (conflicts.length === plan.occurrences.length ||
+        (conflicts.length > 0 && !req.body.skipConflicts)) {
+      return res.status(409).json({
+        err: 'Some dates in this series are not available',
+        occurrences: plan.occurrences.map(formatOccurrence)
+      });
+    }
+
+    const series = await BookingSeries.create({
+      serviceId: plan.service._id,
+      customerId: plan.customerId,
+      providerId: plan.service.provider,
+      timeSlot: plan.timeSlot,
+      intervalWeeks: plan.intervalWeeks,
+      startDate: plan.startKey,
+      endDate: plan.endKey,
+      count: plan.count,
+      timezone: plan.timeZone,
+      createdBy: req.user._id
+    });
+
+    const bookings = [];
+    for (const occurrence of plan.occurrences) {
+      if (!occurrence.available) continue;
+
+      const booking = await createBookingForSlot({
+        service: plan.service,
+        customerId: plan.customerId,
+        slot: occurrence.slot,
+        timeZone: plan.timeZone,
+        user: req.user,
+        seriesId: series._id
+      });
+
+      if (booking) {
+        bookings.push(booking);
+      } else {
+        // Lost the slot to a concurrent booking since the check
+        occurrence.available = false;
+        occurrence.reason = UNAVAILABLE_SLOT_REASONS.booked;
+      }
+    }
+
+    if (bookings.length === 0) {
+      await BookingSeries.findByIdAndDelete(series._id);
+      return res.status(409).json({
+        err: 'Some dates in this series are not available',
+        occurrences: plan.occurrences.map(formatOccurrence)
+      });
+    }
+
+    return res.status(201).json({
+      message: 'Booking series created successfully',
+      series,
+      bookings,
+      occurrences: plan.occurrences.map(formatOccurrence)
+    });
+  } catch (err) {
+    return res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * Get a booking series with its occurrences (owner or admin only)
+ */
+router.get('/series/:seriesId', verifyToken, async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.seriesId)
+      .populate('serviceId', 'title price duration');
+    if (!series) return res.status(404).json({ err: 'Booking series not found' });
+
+    if (!getBookingRole(series, req.user)) {
+      return res.status(403).json({ err: 'Access denied' });
+    }
+
+    const bookings = await Booking.find({ seriesId: series._id }).sort({ date: 1 });
+
+    return res.json({ series, bookings });
+  } catch (err) {
+    return res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * Cancel the remaining occurrences of a series (owner or admin only).
+ * Occurrences from fromDate (default: now) onwards are cancelled under the cancellation policy.
+ */
+router.post('/series/:seriesId/cancel', verifyToken, async (req, res) => {
+  try {
+    const { reason, fromDate } = req.body || {};
+
+    const series = await BookingSeries.findById(req.params.seriesId);
+    if (!series) return res.status(404).json({ err: 'Booking series not found' });
+
+    if (!getBookingRole(series, req.user)) {
+      return res.status(403).json({ err: 'Access denied' });
+    }
+
+    let from = new Date();
+    if (fromDate) {
+      const fromKey = resolveDateKey(fromDate, series.timezone);
+      if (!fromKey) {
+        return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
+      }
+      from = new Date(Math.max(from.getTime(), startOfDay(fromKey, series.timezone).getTime()));
+    }
+
+    const remaining = await Booking.find({
+      seriesId: series._id,
+      date: { $gte: from },
+      status: { $in: ['pending', 'confirmed'] }
+    }).sort({ date: 1 });
+
+    const cancelled = [];
+    const skipped = [];
+    for (const booking of remaining) {
+      const role = getBookingRole(booking, req.user);
+      if (!booking.canTransitionTo('cancelled', role)) {
+        skipped.push({ _id: booking._id, date: booking.date, reason: `A ${role} cannot cancel a ${booking.status} booking` });
+        continue;
+      }
+
+      await applyCancellation(booking, { user: req.user, role, reason });
+      await booking.save();
+      await SlotReservation.release(booking._id);
+      await offerFreedSlot(booking.providerId, booking.date, booking.timezone);
+      cancelled.push(booking);
+    }
+
+    const stillActive = await Booking.countDocuments({
+      seriesId: series._id,
+      date: { $gte: new Date() },
+      status: { $in: ['pending', 'confirmed'] }
+    });
+    if (stillActive === 0) {
+      series.status = 'cancelled';
+      await series.save();
+    }
+
+    return res.json({
+      message: `${cancelled.length} occurrence(s) cancelled`,
+      series,
+      cancelled,
+      skipped
+    });
+  } catch (err) {
+    return res.status(500).json({ err: err.message });
+  }
+});
+
+/**
+ * Provider booking inbox - filter by status, serviceId, customerId and from/to dates,
+ * sorted by appointment date (sort=date|-date|createdAt|-createdAt) and paginated.
+ * Admins may pass providerId to view a provider's inbox.
  */
 router.get('/provider-bookings', verifyToken, async (req, res) => {
   try {
-    const userId = req.user._id;
     const userRole = req.user.role;
 
     if (userRole !== 'provider' && userRole !== 'admin') {
       return res.status(403).json({ err: 'Access denied' });
     }
 
-    const bookings = await Booking.find({ providerId: userId })
-      .populate('serviceId', 'title price')
-      .populate('customerId', 'name email')
-      .populate('providerId', 'name email')
-      .sort({ createdAt: -1 });
+    const baseFilter = userRole === 'provider' ? { providerId: req.user._id } : {};
+    const query = await buildBookingListQuery(req.query, baseFilter, 'date');
+    if (query.err) {
+      return res.status(400).json({ err: query.err });
+    }
 
-    return res.json(bookings);
+    return await sendBookingPage(res, query);
   } catch (err) {
     return res.status(500).json({ err: 'Failed to fetch bookings' });
   }
 });
 
 /**
- * Get bookings with role-based filtering
+ * Get bookings with role-based filtering - same filters and pagination as the provider inbox,
+ * newest first by default
  */
 router.get('/', verifyToken, async (req, res) => {
   try {
@@ -145,13 +725,12 @@ router.get('/', verifyToken, async (req, res) => {
       filter.customerId = userId;
     }
 
-    const bookings = await Booking.find(filter)
-      .populate('serviceId', 'title price')
-      .populate('customerId', 'name email')
-      .populate('providerId', 'name email')
-      .sort({ createdAt: -1 });
+    const query = await buildBookingListQuery(req.query, filter, '-createdAt');
+    if (query.err) {
+      return res.status(400).json({ err: query.err });
+    }
 
-    return res.json(bookings);
+    return await sendBookingPage(res, query);
   } catch (err) {
     return res.status(500).json({ err: err.message });
   }
@@ -163,17 +742,14 @@ router.get('/', verifyToken, async (req, res) => {
 router.get('/:bookingId', verifyToken, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.bookingId)
-      .populate('serviceId', 'title price')
-      .populate('customerId', 'name email')
-      .populate('providerId', 'name email');
+      .populate('serviceId', SERVICE_SUMMARY_FIELDS)
+      .populate('customerId', USER_SUMMARY_FIELDS)
+      .populate('providerId', USER_SUMMARY_FIELDS)
+      .populate('statusHistory.changedBy', 'username profile.firstName profile.lastName');
 
     if (!booking) return res.status(404).json({ err: 'Booking not found' });
 
-    const userId = req.user._id;
-    const isOwner = userId === booking.customerId.toString() ||
-                   userId === booking.providerId.toString();
-
-    if (req.user.role !== 'admin' && !isOwner) {
+    if (!getBookingRole(booking, req.user)) {
       return res.status(403).json({ err: 'Access denied' });
     }
 
@@ -184,166 +760,368 @@ router.get('/:bookingId', verifyToken, async (req, res) => {
 });
 
 /**
- * Update booking (PATCH)
+ * Download a single booking as an iCalendar (.ics) file (owner or admin only)
+ */
+router.get('/:bookingId/ics', verifyToken, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId)
+      .populate('serviceId', SERVICE_SUMMARY_FIELDS)
+      .populate('customerId', USER_SUMMARY_FIELDS)
+      .populate('providerId', USER_SUMMARY_FIELDS);
+
+    if (!booking) return res.status(404).json({ err: 'Booking not found' });
+
+    const role = getBookingRole(booking, req.user);
+    if (!role) {
+      return res.status(403).json({ err: 'Access denied' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="booking-${booking._id}.ics"`);
+    return res.send(renderCalendar([booking], { viewerRole: role }));
+  } catch (err) {
+    return res.status(500).json({ err: err.message });
+  }
+});
+
+// Body fields PATCH/PUT /bookings/:bookingId accepts; everything else about a booking changes
+// through its own flow (reschedule, cancel) so reservations and fees stay consistent
+const EDITABLE_BOOKING_FIELDS = ['status', 'reason'];
+
+/**
+ * Update booking - status changes go through the booking lifecycle rules
  */
-router.patch('/:bookingId', verifyToken, async (req, res) => {
+async function updateBooking(req, res) {
   try {
     const existing = await Booking.findById(req.params.bookingId);
     if (!existing) return res.status(404).json({ err: 'Booking not found' });
 
-    const userId = req.user._id;
-    const isOwner = userId === existing.customerId.toString() ||
-                   userId === existing.providerId.toString();
-
-    if (!isOwner && req.user.role !== 'admin') {
+    const role = getBookingRole(existing, req.user);
+    if (!role) {
       return res.status(403).json({ err: 'Access denied' });
     }
 
-    const updates = { ...req.body };
-    delete updates._id;
-    delete updates.customerId;
-    delete updates.providerId;
-    delete updates.serviceId;
-    delete updates.createdAt;
+    const { status, reason } = req.body || {};
+    const fields = Object.keys(req.body || {});
 
-    if (updates.status) {
-      const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled'];
-      if (!validStatuses.includes(updates.status)) {
+    if (['date', 'timeSlot', 'staffId'].some(field => fields.includes(field))) {
+      return res.status(400).json({
+        err: 'Use POST /bookings/:bookingId/reschedule to change the date, time slot or staff member'
+      });
+    }
+
+    const readOnlyFields = fields.filter(field => !EDITABLE_BOOKING_FIELDS.includes(field));
+    if (readOnlyFields.length > 0) {
+      return res.status(400).json({
+        err: `These fields cannot be updated: ${readOnlyFields.join(', ')}`
+      });
+    }
+
+    // A reason only explains a status change
+    if (!status) {
+      return res.status(400).json({ err: 'status is required' });
+    }
+
+    const previousStatus = existing.status;
+    if (status !== existing.status) {
+      if (!Booking.STATUSES.includes(status)) {
         return res.status(400).json({ err: 'Invalid status' });
       }
+
+      if (!Booking.STATUS_TRANSITIONS[existing.status][status]) {
+        return res.status(400).json({
+          err: `Cannot change booking status from ${existing.status} to ${status}`
+        });
+      }
+
+      if (!existing.canTransitionTo(status, role)) {
+        return res.status(403).json({
+          err: `A ${role} cannot change booking status from ${existing.status} to ${status}`
+        });
+      }
+
+      if (status === 'cancelled') {
+        await applyCancellation(existing, { user: req.user, role, reason });
+      } else {
+        existing.transitionTo(status, {
+          changedBy: req.user._id,
+          role,
+          reason
+        });
+      }
+
+      // A booking that is no longer active drops any open reschedule proposal
+      if (!['pending', 'confirmed'].includes(status)) {
+        existing.rescheduleRequest = null;
+      }
     }
 
-    const updated = await Booking.findByIdAndUpdate(
-      req.params.bookingId,
-      updates,
-      { new: true, runValidators: true }
-    );
+    const updated = await existing.save();
+
+    // Only a cancelled or declined booking frees its slot - completing one, or resending the
+    // current status, must not offer it to the waitlist again
+    const freesSlot = ['pending', 'confirmed'].includes(previousStatus) &&
+      ['cancelled', 'declined'].includes(updated.status);
+    if (freesSlot) {
+      await SlotReservation.release(updated._id);
+      await offerFreedSlot(updated.providerId, updated.date, updated.timezone);
+    }
 
     return res.json(updated);
   } catch (err) {
     return res.status(500).json({ err: err.message });
   }
-});
+}
+
+/**
+ * Update booking (PATCH)
+ */
+router.patch('/:bookingId', verifyToken, updateBooking);
 
 /**
  * Update booking (PUT)
  */
-router.put('/:bookingId', verifyToken, async (req, res) => {
-  return router.patch('/:bookingId', verifyToken).handler(req, res);
-});
+router.put('/:bookingId', verifyToken, updateBooking);
 
 /**
- * Delete booking (owner or admin only)
+ * Propose a new date and time slot for a booking (either party).
+ * staffId moves the booking to another staff member, at the same or a new time.
  */
-router.delete('/:bookingId', verifyToken, async (req, res) => {
+router.post('/:bookingId/reschedule', verifyToken, async (req, res) => {
   try {
+    const { date, timeSlot, reason, staffId } = req.body;
+
     const booking = await Booking.findById(req.params.bookingId);
     if (!booking) return res.status(404).json({ err: 'Booking not found' });
 
-    const userId = req.user._id;
-    const isOwner = userId === booking.customerId.toString() ||
-                   userId === booking.providerId.toString();
-
-    if (!isOwner && req.user.role !== 'admin') {
+    const role = getBookingRole(booking, req.user);
+    if (!role) {
       return res.status(403).json({ err: 'Access denied' });
     }
 
-    await Booking.findByIdAndDelete(req.params.bookingId);
-    return res.json({ message: 'Booking deleted successfully' });
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({ err: `A ${booking.status} booking cannot be rescheduled` });
+    }
+
+    if (booking.rescheduleRequest) {
+      return res.status(409).json({
+        err: 'This booking already has an open reschedule request. Accept or reject it first.'
+      });
+    }
+
+    if (!date || !timeSlot) {
+      return res.status(400).json({ err: 'date and timeSlot are required' });
+    }
+
+    if (!TIME_REGEX.test(timeSlot)) {
+      return res.status(400).json({
+        err: 'Invalid timeSlot format. Use format: "HH:MM AM" or "HH:MM PM"'
+      });
+    }
+
+    const service = await Service.findById(booking.serviceId);
+    if (!service) {
+      return res.status(400).json({ err: 'Service not found' });
+    }
+
+    const providerAvailability = await Availability.findOne({ providerId: booking.providerId });
+    if (!providerAvailability) {
+      return res.status(400).json({
+        err: 'Provider has no availability schedule configured.'
+      });
+    }
+
+    const timeZone = providerAvailability.timezone || DEFAULT_TIMEZONE;
+    const dateKey = resolveDateKey(date, timeZone);
+    if (!dateKey) {
+      return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+
+    if (slotDateTime(dateKey, timeSlot, timeZone) <= new Date()) {
+      return res.status(400).json({ err: 'Booking date must be in the future' });
+    }
+
+    if (staffId && !getActiveStaff(providerAvailability, booking.serviceId).some(m => m._id.toString() === staffId)) {
+      return res.status(400).json({ err: 'Staff member not found or does not perform this service' });
+    }
+
+    // Other bookings' slots count as taken; this booking's own slot does not
+    const bookedTimesByDay = await Booking.getBookedTimesByStaff(
+      booking.providerId, dateKey, dateKey, timeZone, { excludeBookingId: booking._id }
+    );
+    const { slot, staffSlots } = checkRequestedSlot(
+      providerAvailability, service, dateKey, timeSlot, bookedTimesByDay.get(dateKey), staffId
+    );
+    // Keep the same staff member when they are free at the new time
+    const proposedSlot = staffSlots?.find(s => s.staffId && booking.staffId?.equals(s.staffId)) || slot;
+
+    if (!proposedSlot) {
+      return res.status(400).json({ err: 'Selected time slot is not available.' });
+    }
+
+    const sameStaff = String(proposedSlot.staffId || '') === String(booking.staffId || '');
+    if (proposedSlot.startsAt.getTime() === booking.date.getTime() && sameStaff) {
+      return res.status(400).json({ err: 'The booking is already at this date and time' });
+    }
+
+    // Hold the proposed slot alongside the current one until the proposal is answered
+    const proposed = await booking.proposeReschedule(proposedSlot, {
+      requestedBy: req.user._id,
+      role,
+      reason
+    });
+    if (!proposed) {
+      return res.status(409).json({
+        err: 'This provider is already booked for the selected time slot'
+      });
+    }
+
+    return res.status(201).json({
+      message: 'Reschedule request sent',
+      booking
+    });
   } catch (err) {
     return res.status(500).json({ err: err.message });
   }
 });
 
 /**
- * Helper function to get available slots
+ * Accept the open reschedule request (the party that did not propose it, or admin)
  */
-async function getAvailableSlotsInternal(providerId, requestedDate) {
+router.post('/:bookingId/reschedule/accept', verifyToken, async (req, res) => {
   try {
-    const availability = await Availability.findOne({ providerId });
-    if (!availability) return [];
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ err: 'Booking not found' });
 
-    const dayOfWeek = requestedDate.getDay();
-    const schedule = availability.schedules.find(s =>
-      s.dayOfWeek === dayOfWeek && s.isEnabled
-    );
-    if (!schedule) return [];
+    const role = getBookingRole(booking, req.user);
+    if (!role) {
+      return res.status(403).json({ err: 'Access denied' });
+    }
 
-    const dateStr = requestedDate.toISOString().split('T')[0];
-    const exception = availability.exceptions.find(e =>
-      e.date.toISOString().split('T')[0] === dateStr
-    );
+    const request = booking.rescheduleRequest;
+    if (!request) {
+      return res.status(404).json({ err: 'No open reschedule request for this booking' });
+    }
 
-    if (exception && !exception.isAvailable) {
-      return [];
+    if (role !== 'admin' && request.requestedBy.toString() === req.user._id.toString()) {
+      return res.status(403).json({ err: 'The other party must accept this reschedule request' });
     }
 
-    const slots = [];
-    const startTime = exception?.customStartTime || schedule.startTime;
-    const endTime = exception?.customEndTime || schedule.endTime;
+    // A proposal left open past its time can no longer be accepted
+    if (request.date <= new Date()) {
+      return res.status(400).json({ err: 'The proposed time has already passed. Reject this request and propose a new one.' });
+    }
 
-    const start = parseTimeStringInternal(startTime);
-    const end = parseTimeStringInternal(endTime);
+    booking.previousSlots.push({
+      date: booking.date,
+      timeSlot: booking.timeSlot,
+      duration: booking.duration,
+      reservedSlots: booking.reservedSlots,
+      staffId: booking.staffId,
+      requestedBy: request.requestedBy,
+      requestedByRole: request.requestedByRole,
+      reason: request.reason,
+      requestedAt: request.requestedAt,
+      respondedBy: req.user._id,
+      rescheduledAt: new Date()
+    });
 
-    let currentTime = new Date(requestedDate);
-    currentTime.setHours(start.hours, start.minutes, 0, 0);
+    const previousDate = booking.date;
+    booking.date = request.date;
+    booking.timeSlot = request.timeSlot;
+    booking.duration = request.duration;
+    booking.reservedSlots = request.reservedSlots;
+    booking.staffId = request.staffId;
+    booking.rescheduleRequest = null;
 
-    const endDateTime = new Date(requestedDate);
-    endDateTime.setHours(end.hours, end.minutes, 0, 0);
+    const updated = await booking.save();
+    await SlotReservation.moveTo(updated);
+    await offerFreedSlot(updated.providerId, previousDate, updated.timezone);
 
-    while (currentTime < endDateTime) {
-      const isDuringBreak = schedule.breakTimes?.some(breakTime => {
-        const breakStart = parseTimeStringInternal(breakTime.startTime);
-        const breakEnd = parseTimeStringInternal(breakTime.endTime);
-        const slotStart = currentTime.getHours();
-        const slotEnd = slotStart + Math.floor(schedule.slotDuration / 60);
-        return slotStart >= breakStart.hours && slotEnd <= breakEnd.hours;
-      }) ?? false;
+    return res.json({
+      message: 'Booking rescheduled successfully',
+      booking: updated
+    });
+  } catch (err) {
+    return res.status(500).json({ err: err.message });
+  }
+});
 
-      if (!isDuringBreak) {
-        slots.push({
-          startTime: formatTimeStringInternal(currentTime),
-          endTime: formatTimeStringInternal(new Date(currentTime.getTime() + (schedule.slotDuration * 60000))),
-          available: true
-        });
-      }
+/**
+ * Reject the open reschedule request (the other party), or withdraw it (the proposer)
+ */
+router.post('/:bookingId/reschedule/reject', verifyToken, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ err: 'Booking not found' });
+
+    if (!getBookingRole(booking, req.user)) {
+      return res.status(403).json({ err: 'Access denied' });
+    }
 
-      currentTime = new Date(currentTime.getTime() + ((schedule.slotDuration + schedule.bufferTime) * 60000));
+    if (!booking.rescheduleRequest) {
+      return res.status(404).json({ err: 'No open reschedule request for this booking' });
     }
 
-    return slots;
+    booking.rescheduleRequest = null;
+    const updated = await booking.save();
+    await SlotReservation.release(updated._id, 'reschedule');
+
+    return res.json({
+      message: 'Reschedule request rejected - the original slot is kept',
+      booking: updated
+    });
   } catch (err) {
-    return [];
+    return res.status(500).json({ err: err.message });
   }
-}
+});
 
 /**
- * Time parsing helper
+ * Cancel a booking - bookings are soft-cancelled so reviews and stats keep their references
  */
-function parseTimeStringInternal(timeStr) {
-  const match = timeStr.match(/^(\d{1,2}):(\d{2})\s?(AM|PM)$/i);
-  if (!match) return null;
+async function cancelBooking(req, res) {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) return res.status(404).json({ err: 'Booking not found' });
+
+    const role = getBookingRole(booking, req.user);
+    if (!role) {
+      return res.status(403).json({ err: 'Access denied' });
+    }
 
-  let hours = parseInt(match[1]);
-  const minutes = parseInt(match[2]);
-  const period = match[3].toUpperCase();
+    if (!Booking.STATUS_TRANSITIONS[booking.status].cancelled) {
+      return res.status(400).json({ err: `A ${booking.status} booking cannot be cancelled` });
+    }
+
+    if (!booking.canTransitionTo('cancelled', role)) {
+      return res.status(403).json({
+        err: `A ${role} cannot cancel a ${booking.status} booking`
+      });
+    }
 
-  if (period === 'PM' && hours !== 12) hours += 12;
-  if (period === 'AM' && hours === 12) hours = 0;
+    await applyCancellation(booking, { user: req.user, role, reason: req.body?.reason });
+    const updated = await booking.save();
+    await SlotReservation.release(updated._id);
+    await offerFreedSlot(updated.providerId, updated.date, updated.timezone);
 
-  return { hours, minutes };
+    return res.json({
+      message: 'Booking cancelled successfully',
+      cancellation: updated.cancellation,
+      booking: updated
+    });
+  } catch (err) {
+    return res.status(500).json({ err: err.message });
+  }
 }
 
 /**
- * Time formatting helper
+ * Cancel booking (owner or admin only)
  */
-function formatTimeStringInternal(date) {
-  const hours = date.getHours();
-  const minutes = date.getMinutes().toString().padStart(2, '0');
-  const period = hours >= 12 ? 'PM' : 'AM';
-  const displayHours = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
+router.post('/:bookingId/cancel', verifyToken, cancelBooking);
 
-  return `${displayHours}:${minutes} ${period}`;
-}
+/**
+ * Delete booking (owner or admin only) - kept for existing clients, cancels instead of deleting
+ */
+router.delete('/:bookingId', verifyToken, cancelBooking);
 
 module.exports = router;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const express = require('express');
+const User = require('../models/user');
+const Booking = require('../models/booking');
+const verifyToken = require('../middleware/verify-token');
+const checkRole = require('../middleware/checkRole');
+const { renderCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// How far back the feed reaches - older appointments are left out to keep it small
+const FEED_HISTORY_DAYS = 90;
+
+function hashFeedToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Create route - POST - /calendar/token
+// Issues a new feed token; any previous feed URL stops working
+router.post('/token', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.findByIdAndUpdate(req.user._id, { calendarFeedTokenHash: hashFeedToken(token) });
+
+    res.status(201).json({
+      message: 'Calendar feed URL created. Keep it private - anyone with it can read your bookings.',
+      feedUrl: `${req.protocol}://${req.get('host')}/calendar/feed/${token}.ics`
+    });
+  } catch (err) {
+    console.error('Create calendar token error:', err);
+    res.status(500).json({ err: 'Failed to create calendar feed' });
+  }
+});
+
+// Delete route - DELETE - /calendar/token
+router.delete('/token', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user._id, { $unset: { calendarFeedTokenHash: 1 } });
+    res.status(200).json({ message: 'Calendar feed URL revoked' });
+  } catch (err) {
+    console.error('Revoke calendar token error:', err);
+    res.status(500).json({ err: 'Failed to revoke calendar feed' });
+  }
+});
+
+// Feed route - GET - /calendar/feed/:token.ics
+// Calendar apps cannot send a JWT, so the secret token in the URL authenticates the feed
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedTokenHash: hashFeedToken(req.params.token) });
+    if (!user) {
+      return res.status(404).json({ err: 'Calendar feed not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60000);
+    const bookings = await Booking.find({
+      $or: [{ customerId: user._id }, { providerId: user._id }],
+      status: 'confirmed',
+      date: { $gte: since }
+    })
+      .populate('serviceId', 'title duration')
+      .populate('customerId', 'username profile.firstName profile.lastName')
+      .populate('providerId', 'username profile.firstName profile.lastName')
+      .sort({ date: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(renderCalendar(bookings, {
+      name: 'PearlConnect Bookings',
+      viewerRole: user.role === 'customer' ? 'customer' : 'provider'
+    }));
+  } catch (err) {
+    console.error('Calendar feed error:', err);
+    res.status(500).json({ err: 'Failed to render calendar feed' });
+  }
+});
+
+module.exports = router;
@@ -1,51 +1,377 @@
+const path = require('path');
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
+const multer = require('multer');
 
 const User = require('../models/user');
 const verifyToken = require('../middleware/verify-token');
 const checkRole = require('../middleware/checkRole');
 const Message = require('../models/message');
+const Booking = require('../models/booking');
+const Conversation = require('../models/conversation');
+const Service = require('../models/services');
+const Block = require('../models/block');
+const MessageReport = require('../models/messageReport');
+const { emitToUsers } = require('../utils/realtime');
+const { DEFAULT_TIMEZONE, resolveDateKey, addDays, startOfDay } = require('../utils/scheduling');
+const { getSearchTerms, buildSnippet } = require('../utils/textSearch');
+const { ATTACHMENT_UPLOAD_DIR, createDiskStorage, removeUploadedFiles } = require('../utils/uploads');
 
+// Photos of the problem and common document types
+const ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'image/heic',
+  'application/pdf',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const MAX_ATTACHMENTS = 5;
+
+const attachmentUpload = multer({
+  storage: createDiskStorage(ATTACHMENT_UPLOAD_DIR),
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images (JPEG, PNG, GIF, WebP, HEIC), PDF, text and Word documents can be attached'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB per file
+    files: MAX_ATTACHMENTS
+  }
+});
+
+// Accept optional attachments, answering upload errors with a 400
+function uploadAttachments(req, res, next) {
+  attachmentUpload.array('attachments')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ err: 'File size too large. Maximum 10MB per file.' });
+    }
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({ err: `Too many attachments. Maximum ${MAX_ATTACHMENTS} files.` });
+    }
+    return res.status(400).json({ err: err.message });
+  });
+}
+
+function formatOtherUser(user) {
+  return {
+    _id: user._id,
+    name: `${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim()
+  };
+}
+
+function formatLastMessage(message) {
+  return message ? {
+    _id: message._id,
+    content: message.content,
+    sentAt: message.sentAt,
+    read: message.read,
+    senderId: message.senderId,
+    type: message.type,
+    editedAt: message.editedAt || null,
+    deletedAt: message.deletedAt || null
+  } : null;
+}
+
+// Opaque cursor for the conversation list - the sort position of a conversation's last message
+function encodeListCursor(message) {
+  return Buffer.from(`${message.sentAt.toISOString()}_${message._id}`).toString('base64url');
+}
+
+function decodeListCursor(cursor) {
+  const [sentAt, messageId] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const date = new Date(sentAt);
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(messageId)) return null;
+  return { sentAt: date, messageId: new mongoose.Types.ObjectId(messageId) };
+}
+
+/**
+ * One page of the messages matching filter, in chronological order. Pages are anchored on a
+ * message id rather than an offset, so new messages arriving do not shift them:
+ * no cursor gives the newest `limit` messages, before=<id> the ones sent before that message
+ * and after=<id> the ones sent after it. Ties on sentAt are broken by _id.
+ * Sets a 400 status and throws for an invalid cursor, for the routes' catch blocks.
+ */
+async function findMessagePage(filter, query, res) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 100);
+  const { before, after } = query;
+
+  if (before && after) {
+    res.status(400);
+    throw new Error('Use either before or after, not both');
+  }
+
+  const conditions = [filter];
+  const cursorId = before || after;
+  if (cursorId) {
+    const cursorMessage = mongoose.isValidObjectId(cursorId) &&
+      await Message.findOne({ $and: [filter, { _id: cursorId }] }).select('sentAt');
+    if (!cursorMessage) {
+      res.status(400);
+      throw new Error('Invalid cursor - the message is not in this conversation');
+    }
+    const op = after ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { sentAt: { [op]: cursorMessage.sentAt } },
+        { sentAt: cursorMessage.sentAt, _id: { [op]: cursorMessage._id } }
+      ]
+    });
+  }
+
+  // Newer pages read forwards from the cursor; the newest page and older pages read backwards
+  const direction = after ? 1 : -1;
+  const found = await Message.find({ $and: conditions })
+    .populate('senderId', 'profile.firstName profile.lastName')
+    .populate('receiverId', 'profile.firstName profile.lastName')
+    .sort({ sentAt: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = found.length > limit;
+  const messages = found.slice(0, limit);
+  if (direction === -1) messages.reverse(); // chronological order for conversations
+
+  return {
+    messages,
+    pagination: {
+      limit,
+      hasOlder: after ? true : hasMore,
+      hasNewer: after ? hasMore : Boolean(before),
+      before: messages[0]?._id || null,
+      after: messages[messages.length - 1]?._id || null
+    }
+  };
+}
+
+// Load a booking's thread for a user allowed to read it. Sets the status and throws otherwise,
+// for the routes' catch blocks.
+async function findBookingThread(bookingId, user, res) {
+  const booking = mongoose.isValidObjectId(bookingId) && await Booking.findById(bookingId);
+  if (!booking) {
+    res.status(404);
+    throw new Error('Booking not found');
+  }
+
+  // The booking's customer and provider, and admins
+  if (user.role !== 'admin' && !booking.customerId.equals(user._id) && !booking.providerId.equals(user._id)) {
+    res.status(403);
+    throw new Error('Access denied');
+  }
+  return Conversation.openForBooking(booking);
+}
+
+// Who may start a conversation with a provider, set per deployment with MESSAGING_POLICY:
+// "open" (default) lets anyone; "relationship" lets customers start one only if they have a
+// booking with the provider or ask about one of the provider's services (serviceId)
+const MESSAGING_POLICIES = ['open', 'relationship'];
+const MESSAGING_POLICY = MESSAGING_POLICIES.includes(process.env.MESSAGING_POLICY)
+  ? process.env.MESSAGING_POLICY
+  : 'open';
+
+// Messages each role may send per window; admins are not limited
+const MESSAGE_RATE_LIMITS = {
+  customer: { limit: 30, windowMinutes: 10 },
+  provider: { limit: 60, windowMinutes: 10 }
+};
+
+/**
+ * Check the sender's rate limit. Sends a 429 with Retry-After and returns false when the
+ * sender has used up their messages for the window; returns true otherwise.
+ * System messages do not count towards the limit.
+ */
+async function checkRateLimit(user, res) {
+  const rateLimit = MESSAGE_RATE_LIMITS[user.role];
+  if (!rateLimit) return true;
+
+  const windowMs = rateLimit.windowMinutes * 60000;
+  const recentMessages = await Message.find({
+    senderId: user._id,
+    type: { $ne: 'system' },
+    sentAt: { $gte: new Date(Date.now() - windowMs) }
+  })
+    .sort({ sentAt: -1 })
+    .limit(rateLimit.limit)
+    .select('sentAt');
+  if (recentMessages.length < rateLimit.limit) return true;
+
+  // A message can be sent again once the oldest of the last `limit` messages leaves the window
+  const retryAt = new Date(recentMessages[recentMessages.length - 1].sentAt.getTime() + windowMs);
+  const retryAfter = Math.max(1, Math.ceil((retryAt.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    err: `Too many messages. You can send ${rateLimit.limit} messages every ${rateLimit.windowMinutes} minutes.`,
+    retryAfter,
+    retryAt
+  });
+  return false;
+}
+
+/**
+ * Under the "relationship" policy, check that a customer may start a conversation with a
+ * provider. Sets the status and throws otherwise, for the routes' catch blocks.
+ */
+async function assertMessagingPolicy(sender, receiver, service, res) {
+  if (MESSAGING_POLICY === 'open' || sender.role !== 'customer' || receiver.role !== 'provider') return;
+
+  const hasConversation = await Message.exists({
+    $or: [
+      { senderId: sender._id, receiverId: receiver._id },
+      { senderId: receiver._id, receiverId: sender._id }
+    ]
+  });
+  if (hasConversation) return;
+
+  const hasBooking = await Booking.exists({ customerId: sender._id, providerId: receiver._id });
+  if (hasBooking) return;
+
+  // A service the customer asks about has been checked to be the provider's
+  if (service) return;
+
+  res.status(403);
+  throw new Error('You can message this provider once you have a booking with them, or by asking about one of their services (serviceId)');
+}
+
+// Check that the sender may message the receiver - not suspended and no block either way.
+// Sets the status and throws otherwise, for the routes' catch blocks.
+async function assertCanMessage(senderId, receiverId, res) {
+  const sender = await User.findById(senderId).select('+messagingSuspension');
+  if (sender?.isMessagingSuspended()) {
+    const { until } = sender.messagingSuspension;
+    res.status(403);
+    throw new Error(until
+      ? `Your messaging is suspended until ${until.toISOString()}`
+      : 'Your messaging is suspended');
+  }
+
+  const block = await Block.findBetween(senderId, receiverId);
+  if (block) {
+    res.status(403);
+    throw new Error(block.blockerId.equals(senderId)
+      ? 'You have blocked this user. Unblock them to send messages.'
+      : 'You cannot message this user');
+  }
+}
+
+// Unread messages of a user - deleted messages and those hidden for them do not count
+function unreadMessagesFilter(userId) {
+  return { receiverId: userId, read: false, deletedAt: null, ...Message.visibleTo(userId) };
+}
+
+// Push the user's current unread total to their open connections
+async function emitUnreadCount(userId) {
+  const unreadCount = await Message.countDocuments(unreadMessagesFilter(userId));
+  emitToUsers([userId], 'unread:count', { unreadCount });
+}
 
 // CREATE - POST - /messages
-router.post('/', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+// JSON, or multipart with up to MAX_ATTACHMENTS files in the "attachments" field
+router.post('/', verifyToken, checkRole(['admin', 'provider', 'customer']), uploadAttachments, async (req, res) => {
   try {
     // Validate required fields
-    const { receiverId, content } = req.body;
-    
-    if (!receiverId || !content) {
+    const { receiverId, bookingId, serviceId } = req.body;
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+    const attachments = (req.files || []).map(file => ({
+      filename: file.filename,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    }));
+
+    if ((!receiverId && !bookingId) || (!content && attachments.length === 0)) {
+      await removeUploadedFiles(req.files);
       return res.status(400).json({
-        err: 'Receiver ID and content are required'
+        err: 'Receiver ID (or booking ID) and content or attachments are required'
+      });
+    }
+
+    if (!await checkRateLimit(req.user, res)) {
+      await removeUploadedFiles(req.files);
+      return;
+    }
+
+    // Messages about a booking go to its thread, addressed to the other party
+    if (bookingId) {
+      const booking = mongoose.isValidObjectId(bookingId) && await Booking.findById(bookingId);
+      if (!booking) {
+        res.status(404);
+        throw new Error('Booking not found');
+      }
+
+      const isCustomer = booking.customerId.equals(req.user._id);
+      if (!isCustomer && !booking.providerId.equals(req.user._id)) {
+        res.status(403);
+        throw new Error('Only the customer and provider of a booking can message in its thread');
+      }
+
+      const threadReceiverId = isCustomer ? booking.providerId : booking.customerId;
+      await assertCanMessage(req.user._id, threadReceiverId, res);
+
+      const conversation = await Conversation.openForBooking(booking);
+      const threadMessage = await conversation.postMessage({
+        senderId: req.user._id,
+        receiverId: threadReceiverId,
+        content,
+        attachments
       });
+      await emitUnreadCount(threadReceiverId);
+
+      return res.status(201).json(threadMessage);
     }
 
     // Verify receiver exists
-    const receiver = await User.findById(receiverId);
+    const receiver = mongoose.isValidObjectId(receiverId) && await User.findById(receiverId);
     if (!receiver) {
       res.status(404);
       throw new Error('Receiver not found');
     }
 
+    // The service asked about must be one of the receiver's
+    let service = null;
+    if (serviceId) {
+      service = mongoose.isValidObjectId(serviceId) && await Service.findOne({ _id: serviceId, provider: receiver._id });
+      if (!service) {
+        res.status(404);
+        throw new Error('Service not found for this receiver');
+      }
+    }
+
+    await assertCanMessage(req.user._id, receiver._id, res);
+    await assertMessagingPolicy(req.user, receiver, service, res);
+
     // Create message with sender ID from authenticated user
     const messageData = {
       senderId: req.user._id,
       receiverId,
-      content: content.trim(),
+      content,
+      attachments,
+      serviceId: service?._id || null,
       read: false
     };
 
     const createdMessage = await Message.create(messageData);
-    
+
     // Populate sender and receiver info for response
     const populatedMessage = await Message.findById(createdMessage._id)
       .populate('senderId', 'profile.firstName profile.lastName')
       .populate('receiverId', 'profile.firstName profile.lastName');
 
+    // Both sides get the message live - the sender's other tabs included
+    emitToUsers([req.user._id, receiverId], 'message:new', populatedMessage);
+    await emitUnreadCount(receiverId);
+
     res.status(201).json(populatedMessage);
 
   } catch (err) {
-    if (res.statusCode === 404) {
+    await removeUploadedFiles(req.files);
+    if (res.statusCode === 404 || res.statusCode === 403) {
       res.json({err: err.message});
     } else {
       res.status(500).json({err: 'Internal server error'});
@@ -60,13 +386,15 @@ router.get('/', verifyToken, checkRole(['admin', 'provider', 'customer']), async
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Get messages where user is either sender or receiver
-    const foundMessages = await Message.find({
+    // Get messages where user is either sender or receiver, except those they deleted for themselves
+    const filter = {
       $or: [
         { senderId: req.user._id },
         { receiverId: req.user._id }
-      ]
-    })
+      ],
+      ...Message.visibleTo(req.user._id)
+    };
+    const foundMessages = await Message.find(filter)
     .populate('senderId', 'profile.firstName profile.lastName')
     .populate('receiverId', 'profile.firstName profile.lastName')
     .sort({ sentAt: -1 })
@@ -74,17 +402,246 @@ router.get('/', verifyToken, checkRole(['admin', 'provider', 'customer']), async
     .limit(limit);
 
     // Get total count for pagination
-    const totalMessages = await Message.countDocuments({
+    const totalMessages = await Message.countDocuments(filter);
+
+    const totalPages = Math.ceil(totalMessages / limit);
+
+    res.status(200).json({
+      messages: foundMessages,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalMessages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (err) {
+    res.status(500).json({err: 'Message processing failed'});
+  }
+});
+
+// Index route - GET - /messages/blocks
+router.get('/blocks', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const blocks = await Block.find({ blockerId: req.user._id })
+      .populate('blockedId', 'username profile.firstName profile.lastName')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      blockedUsers: blocks.map(block => ({
+        user: block.blockedId,
+        blockedAt: block.createdAt
+      }))
+    });
+
+  } catch (err) {
+    res.status(500).json({err: 'Block list retrieval failed'});
+  }
+});
+
+// Create route - POST - /messages/blocks
+router.post('/blocks', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({err: 'A valid userId is required'});
+    }
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({err: 'You cannot block yourself'});
+    }
+
+    const blockedUser = await User.findById(userId);
+    if (!blockedUser) {
+      res.status(404);
+      throw new Error('User not found');
+    }
+
+    const block = await Block.create({ blockerId: req.user._id, blockedId: blockedUser._id });
+
+    res.status(201).json({
+      message: 'User blocked',
+      block
+    });
+
+  } catch (err) {
+    if (err.code === 11000) {
+      res.status(409).json({err: 'User is already blocked'});
+    } else if (res.statusCode === 404) {
+      res.json({err: err.message});
+    } else {
+      res.status(500).json({err: 'Block operation failed'});
+    }
+  }
+});
+
+// Delete route - DELETE - /messages/blocks/:userId
+router.delete('/blocks/:userId', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const deletedBlock = mongoose.isValidObjectId(userId) &&
+      await Block.findOneAndDelete({ blockerId: req.user._id, blockedId: userId });
+    if (!deletedBlock) {
+      res.status(404);
+      throw new Error('User is not blocked');
+    }
+
+    res.status(200).json({
+      message: 'User unblocked',
+      block: deletedBlock
+    });
+
+  } catch (err) {
+    if (res.statusCode === 404) {
+      res.json({err: err.message});
+    } else {
+      res.status(500).json({err: 'Block operation failed'});
+    }
+  }
+});
+
+// Create route - POST - /messages/:messageId/report
+// Recipients report a message; admins review the case under /admin/reports
+router.post('/:messageId/report', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    if (!MessageReport.REASONS.includes(reason)) {
+      return res.status(400).json({err: `Invalid reason. Must be one of: ${MessageReport.REASONS.join(', ')}`});
+    }
+    if (details !== undefined && details !== null &&
+        (typeof details !== 'string' || details.trim().length > MessageReport.MAX_DETAILS_LENGTH)) {
+      return res.status(400).json({err: `details must be text of at most ${MessageReport.MAX_DETAILS_LENGTH} characters`});
+    }
+
+    const foundMessage = mongoose.isValidObjectId(req.params.messageId) && await Message.findById(req.params.messageId);
+    if (!foundMessage) {
+      res.status(404);
+      throw new Error('Message not found');
+    }
+
+    // Only the receiver can report a message
+    if (!foundMessage.receiverId.equals(req.user._id)) {
+      res.status(403);
+      throw new Error('Only the receiver can report a message');
+    }
+    if (foundMessage.type === 'system') {
+      return res.status(400).json({err: 'System messages cannot be reported'});
+    }
+    if (foundMessage.deletedAt) {
+      return res.status(400).json({err: 'Deleted messages cannot be reported'});
+    }
+
+    const report = await MessageReport.create({
+      messageId: foundMessage._id,
+      reporterId: req.user._id,
+      senderId: foundMessage.senderId,
+      reason,
+      details,
+      snapshot: {
+        content: foundMessage.content,
+        attachments: foundMessage.attachments.map(attachment => ({
+          _id: attachment._id,
+          originalName: attachment.originalName,
+          mimeType: attachment.mimeType,
+          size: attachment.size
+        })),
+        conversationId: foundMessage.conversationId,
+        sentAt: foundMessage.sentAt
+      }
+    });
+
+    res.status(201).json({
+      message: 'Message reported. Our team will review it.',
+      report
+    });
+
+  } catch (err) {
+    if (err.code === 11000) {
+      res.status(409).json({err: 'You have already reported this message'});
+    } else if (err.name === 'ValidationError') {
+      res.status(400).json({err: err.message});
+    } else if (res.statusCode === 404 || res.statusCode === 403) {
+      res.json({err: err.message});
+    } else {
+      res.status(500).json({err: 'Report submission failed'});
+    }
+  }
+});
+
+// Index route - GET - /messages/search?q=&with=&from=&to=&page=&limit=
+// Full-text search over the messages the user sent or received, best matches first.
+// with narrows to one conversation partner; from/to are inclusive days (YYYY-MM-DD or ISO dates).
+router.get('/search', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2 || q.length > 200) {
+      return res.status(400).json({err: 'Search query must be between 2 and 200 characters'});
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    // Same access as the show route: only messages the user sent or received
+    const filter = {
+      $text: { $search: q },
       $or: [
         { senderId: req.user._id },
         { receiverId: req.user._id }
-      ]
-    });
+      ],
+      deletedAt: null,
+      ...Message.visibleTo(req.user._id)
+    };
+
+    if (req.query.with !== undefined) {
+      if (!mongoose.isValidObjectId(req.query.with)) {
+        return res.status(400).json({err: 'Invalid conversation partner ID'});
+      }
+      filter.$or = [
+        { senderId: req.user._id, receiverId: req.query.with },
+        { senderId: req.query.with, receiverId: req.user._id }
+      ];
+    }
+
+    const sentAt = {};
+    for (const bound of ['from', 'to']) {
+      if (req.query[bound] === undefined) continue;
+      const dateKey = resolveDateKey(req.query[bound], DEFAULT_TIMEZONE);
+      if (!dateKey) {
+        return res.status(400).json({err: `Invalid ${bound} date`});
+      }
+      if (bound === 'from') sentAt.$gte = startOfDay(dateKey, DEFAULT_TIMEZONE);
+      else sentAt.$lt = startOfDay(addDays(dateKey, 1), DEFAULT_TIMEZONE);
+    }
+    if (sentAt.$gte && sentAt.$lt && sentAt.$gte >= sentAt.$lt) {
+      return res.status(400).json({err: 'from must be on or before to'});
+    }
+    if (Object.keys(sentAt).length > 0) filter.sentAt = sentAt;
 
+    const foundMessages = await Message.find(filter, { score: { $meta: 'textScore' } })
+      .populate('senderId', 'profile.firstName profile.lastName')
+      .populate('receiverId', 'profile.firstName profile.lastName')
+      .sort({ score: { $meta: 'textScore' }, sentAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalMessages = await Message.countDocuments(filter);
     const totalPages = Math.ceil(totalMessages / limit);
 
+    // Snippets mark matches by character offsets, never with markup
+    const terms = getSearchTerms(q);
+    const results = foundMessages.map(message => ({
+      message,
+      score: message.get('score'),
+      ...buildSnippet(message.content, terms)
+    }));
+
     res.status(200).json({
-      messages: foundMessages,
+      results,
       pagination: {
         currentPage: page,
         totalPages,
@@ -95,14 +652,20 @@ router.get('/', verifyToken, checkRole(['admin', 'provider', 'customer']), async
     });
 
   } catch (err) {
-    res.status(500).json({err: 'Message processing failed'});
+    res.status(500).json({err: 'Message search failed'});
   }
 });
 
 // Show route - GET - /messages/:messageId
+// Admins can read any message, including its earlier versions
 router.get('/:messageId', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
   try {
-    const foundMessage = await Message.findById(req.params.messageId)
+    const isAdmin = req.user.role === 'admin';
+    const foundMessage = mongoose.isValidObjectId(req.params.messageId) && await Message.findOne({
+      _id: req.params.messageId,
+      ...Message.visibleTo(req.user._id)
+    })
+      .select(isAdmin ? '+editHistory' : '')
       .populate('senderId', 'profile.firstName profile.lastName')
       .populate('receiverId', 'profile.firstName profile.lastName');
 
@@ -112,7 +675,8 @@ router.get('/:messageId', verifyToken, checkRole(['admin', 'provider', 'customer
     }
 
     // Check if user is authorized to view this message
-    if (foundMessage.senderId._id.toString() !== req.user._id.toString() && 
+    if (!isAdmin &&
+        foundMessage.senderId._id.toString() !== req.user._id.toString() && 
         foundMessage.receiverId._id.toString() !== req.user._id.toString()) {
       res.status(403);
       throw new Error('Access denied');
@@ -129,25 +693,158 @@ router.get('/:messageId', verifyToken, checkRole(['admin', 'provider', 'customer
   }
 });
 
-// Delete route - DELETE - /messages/:messageId
+// Update route - PATCH - /messages/:messageId - { content }
+// Senders can edit their messages for EDIT_WINDOW_MINUTES after sending them
+router.patch('/:messageId', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+    const foundMessage = mongoose.isValidObjectId(req.params.messageId) &&
+      await Message.findById(req.params.messageId).select('+editHistory');
+    if (!foundMessage) {
+      res.status(404);
+      throw new Error('Message not found');
+    }
+
+    if (!foundMessage.senderId.equals(req.user._id)) {
+      res.status(403);
+      throw new Error('Only sender can edit message');
+    }
+    if (!foundMessage.canEdit(req.user._id)) {
+      return res.status(400).json({
+        err: foundMessage.deletedAt
+          ? 'Deleted messages cannot be edited'
+          : `Messages can only be edited within ${Message.EDIT_WINDOW_MINUTES} minutes of sending`
+      });
+    }
+    if (!content && foundMessage.attachments.length === 0) {
+      return res.status(400).json({err: 'Content is required'});
+    }
+    if (content === foundMessage.content) {
+      return res.status(400).json({err: 'Content is unchanged'});
+    }
+
+    foundMessage.edit(content);
+    await foundMessage.save();
+
+    const updatedMessage = await Message.findById(foundMessage._id)
+      .populate('senderId', 'profile.firstName profile.lastName')
+      .populate('receiverId', 'profile.firstName profile.lastName');
+    emitToUsers([updatedMessage.senderId, updatedMessage.receiverId], 'message:updated', updatedMessage);
+
+    res.status(200).json({updatedMessage});
+
+  } catch (err) {
+    if (res.statusCode === 404 || res.statusCode === 403) {
+      res.json({err: err.message});
+    } else {
+      res.status(500).json({err: 'Message operation failed'});
+    }
+  }
+});
+
+// Show route - GET - /messages/:messageId/attachments/:attachmentId
+// Attachments are private: only the sender, the receiver and admins can download them.
+// Admins can also download the attachments of messages deleted for everyone.
+router.get('/:messageId/attachments/:attachmentId', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const foundMessage = mongoose.isValidObjectId(req.params.messageId) && await Message.findOne({
+      _id: req.params.messageId,
+      ...Message.visibleTo(req.user._id)
+    }).select(isAdmin ? '+editHistory' : '');
+    const attachment = foundMessage && mongoose.isValidObjectId(req.params.attachmentId) &&
+      foundMessage.findAttachment(req.params.attachmentId, { includeDeleted: isAdmin });
+
+    if (!attachment) {
+      res.status(404);
+      throw new Error('Attachment not found');
+    }
+
+    if (!isAdmin &&
+        !foundMessage.senderId.equals(req.user._id) &&
+        !foundMessage.receiverId.equals(req.user._id)) {
+      res.status(403);
+      throw new Error('Access denied');
+    }
+
+    // Images open inline; documents download under their original name
+    const disposition = attachment.mimeType.startsWith('image/') ? 'inline' : 'attachment';
+    res.set('Content-Type', attachment.mimeType);
+    res.set('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.originalName).replace(/'/g, '%27')}`);
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=3600');
+
+    res.sendFile(path.resolve(ATTACHMENT_UPLOAD_DIR, path.basename(attachment.filename)), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({err: 'Attachment file is missing'});
+      }
+    });
+
+  } catch (err) {
+    if (res.statusCode === 404 || res.statusCode === 403) {
+      res.json({err: err.message});
+    } else {
+      res.status(500).json({err: 'Attachment retrieval failed'});
+    }
+  }
+});
+
+// Delete route - DELETE - /messages/:messageId?scope=everyone|me
+// everyone (the default, sender only) leaves a tombstone in the thread; me hides it for the current user
 router.delete('/:messageId', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
   try {
-    const deletedMessage = await Message.findById(req.params.messageId);
+    const scope = req.query.scope || 'everyone';
+    if (!['everyone', 'me'].includes(scope)) {
+      return res.status(400).json({err: 'scope must be everyone or me'});
+    }
+
+    const deletedMessage = mongoose.isValidObjectId(req.params.messageId) &&
+      await Message.findById(req.params.messageId).select('+editHistory');
 
     if (!deletedMessage) {
       res.status(404);
       throw new Error('Message not found');
     }
 
-    // Only sender can delete message
-    if (deletedMessage.senderId.toString() !== req.user._id.toString()) {
+    const isSender = deletedMessage.senderId.equals(req.user._id);
+    if (scope === 'me') {
+      if (!isSender && !deletedMessage.receiverId.equals(req.user._id)) {
+        res.status(403);
+        throw new Error('Access denied');
+      }
+
+      await Message.updateOne({ _id: deletedMessage._id }, { $addToSet: { hiddenFor: req.user._id } });
+      emitToUsers([req.user._id], 'message:hidden', { messageId: deletedMessage._id });
+      await emitUnreadCount(req.user._id);
+
+      return res.status(200).json({ message: 'Message deleted for you', messageId: deletedMessage._id });
+    }
+
+    // Only sender can delete message for everyone
+    if (!isSender || deletedMessage.type === 'system') {
       res.status(403);
       throw new Error('Only sender can delete message');
     }
+    if (deletedMessage.deletedAt) {
+      return res.status(400).json({err: 'Message is already deleted'});
+    }
 
-    await Message.findByIdAndDelete(req.params.messageId);
+    // Attachment files are kept for moderation; only admins can still download them
+    deletedMessage.deleteForEveryone();
+    await deletedMessage.save();
+
+    // The edit history stays server-side
+    const tombstone = deletedMessage.toJSON();
+    delete tombstone.editHistory;
+
+    emitToUsers([deletedMessage.senderId, deletedMessage.receiverId], 'message:deleted', {
+      messageId: deletedMessage._id,
+      deletedAt: deletedMessage.deletedAt
+    });
+    if (!deletedMessage.read) await emitUnreadCount(deletedMessage.receiverId);
 
-    res.status(200).json({deletedMessage});
+    res.status(200).json({deletedMessage: tombstone});
 
   } catch (err) {
     if (res.statusCode === 404 || res.statusCode === 403) {
@@ -175,9 +872,19 @@ router.put('/:messageId/read', verifyToken, checkRole(['admin', 'provider', 'cus
     }
 
     // Update read status
+    const wasUnread = !foundMessage.read;
     foundMessage.read = true;
     await foundMessage.save();
 
+    if (wasUnread) {
+      emitToUsers([foundMessage.senderId, req.user._id], 'message:read', {
+        readerId: req.user._id,
+        messageIds: [foundMessage._id],
+        readAt: new Date()
+      });
+      await emitUnreadCount(req.user._id);
+    }
+
     // Return updated message with populated data
     const updatedMessage = await Message.findById(req.params.messageId)
       .populate('senderId', 'profile.firstName profile.lastName')
@@ -195,60 +902,36 @@ router.put('/:messageId/read', verifyToken, checkRole(['admin', 'provider', 'cus
 });
 
 // Get conversation between current user and specific user - GET - /messages/conversation/:userId
+// Newest `limit` messages by default; before=<messageId> pages back, after=<messageId> fetches newer ones
 router.get('/conversation/:userId', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
   try {
     const { userId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = (page - 1) * limit;
 
     // Verify the other user exists
-    const otherUser = await User.findById(userId);
+    const otherUser = mongoose.isValidObjectId(userId) && await User.findById(userId);
     if (!otherUser) {
       res.status(404);
       throw new Error('User not found');
     }
 
-    // Get conversation between current user and specified user
-    const foundConversation = await Message.find({
-      $or: [
-        { senderId: req.user._id, receiverId: userId },
-        { senderId: userId, receiverId: req.user._id }
-      ]
-    })
-    .populate('senderId', 'profile.firstName profile.lastName')
-    .populate('receiverId', 'profile.firstName profile.lastName')
-    .sort({ sentAt: 1 }) // chronological order for conversations
-    .skip(skip)
-    .limit(limit);
-
-    // Get total messages in conversation
-    const totalMessages = await Message.countDocuments({
+    // Get direct conversation between current user and specified user - booking threads are listed separately
+    const page = await findMessagePage({
       $or: [
-        { senderId: req.user._id, receiverId: userId },
-        { senderId: userId, receiverId: req.user._id }
-      ]
-    });
-
-    const totalPages = Math.ceil(totalMessages / limit);
+        { senderId: req.user._id, receiverId: otherUser._id },
+        { senderId: otherUser._id, receiverId: req.user._id }
+      ],
+      conversationId: null,
+      ...Message.visibleTo(req.user._id)
+    }, req.query, res);
 
     res.status(200).json({
-      conversation: foundConversation,
-      otherUser: {
-        _id: otherUser._id,
-        name: `${otherUser.profile?.firstName || ''} ${otherUser.profile?.lastName || ''}`.trim()
-      },
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalMessages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
+      conversation: page.messages,
+      otherUser: formatOtherUser(otherUser),
+      pagination: page.pagination
     });
 
   } catch (err) {
-    if (res.statusCode === 404) {
+    if (res.statusCode === 404 || res.statusCode === 400) {
       res.json({err: err.message});
     } else {
       res.status(500).json({err: 'Conversation retrieval failed'});
@@ -256,79 +939,210 @@ router.get('/conversation/:userId', verifyToken, checkRole(['admin', 'provider',
   }
 });
 
-// Get conversation list (all users current user has messaged with) - GET - /messages/conversations/list
+// Get conversation list (direct conversations and booking threads) - GET - /messages/conversations/list
+// Newest first, `limit` per page; pass the returned nextCursor as cursor for the next page
 router.get('/conversations/list', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
   try {
     const userId = req.user._id;
-    
-    // Get all unique conversation partners
-    const sentMessages = await Message.find({ senderId: userId }).distinct('receiverId');
-    const receivedMessages = await Message.find({ receiverId: userId }).distinct('senderId');
-    
-    // Combine and remove duplicates
-    const conversationPartnerIds = [...new Set([...sentMessages, ...receivedMessages])];
-    
-    // Get user details for each conversation partner
-    const conversationPartners = await User.find(
-      { _id: { $in: conversationPartnerIds } },
-      'profile.firstName profile.lastName'
-    );
-    
-    // Get last message and unread count for each conversation
-    const foundConversations = await Promise.all(
-      conversationPartners.map(async (partner) => {
-        const lastMessage = await Message.findOne({
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeListCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({err: 'Invalid cursor'});
+      }
+    }
+
+    // Conversations with users the current user has blocked are left out
+    const blockedIds = await Block.getBlockedIds(userId);
+
+    const pipeline = [
+      { $match: { $or: [{ senderId: userId }, { receiverId: userId }], hiddenFor: { $ne: userId } } },
+      { $addFields: { partnerId: { $cond: [{ $eq: ['$senderId', userId] }, '$receiverId', '$senderId'] } } },
+      { $sort: { sentAt: -1, _id: -1 } },
+      // One entry per direct conversation (by partner) and per booking thread - whoever sent
+      // the thread's messages, admins included
+      {
+        $group: {
+          // Messages from before booking threads have no conversationId
+          _id: {
+            partnerId: { $cond: [{ $ifNull: ['$conversationId', false] }, null, '$partnerId'] },
+            conversationId: { $ifNull: ['$conversationId', null] }
+          },
+          lastMessage: { $first: '$$ROOT' },
+          unreadCount: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: ['$receiverId', userId] }, { $eq: ['$read', false] }, { $not: ['$deletedAt'] }] }, 1, 0]
+            }
+          }
+        }
+      },
+      // Admins appear in threads they changed a booking in, but only participants list them
+      { $lookup: { from: 'conversations', localField: '_id.conversationId', foreignField: '_id', as: 'thread' } },
+      { $match: { $or: [{ '_id.conversationId': null }, { 'thread.participants': userId }] } },
+      // A thread's other user is the booking's other participant
+      {
+        $addFields: {
+          partnerId: {
+            $ifNull: ['$_id.partnerId', {
+              $arrayElemAt: [{
+                $filter: {
+                  input: { $ifNull: [{ $arrayElemAt: ['$thread.participants', 0] }, []] },
+                  cond: { $ne: ['$$this', userId] }
+                }
+              }, 0]
+            }]
+          }
+        }
+      },
+      { $match: { partnerId: { $nin: blockedIds } } },
+      { $sort: { 'lastMessage.sentAt': -1, 'lastMessage._id': -1 } }
+    ];
+
+    if (cursor) {
+      pipeline.push({
+        $match: {
           $or: [
-            { senderId: userId, receiverId: partner._id },
-            { senderId: partner._id, receiverId: userId }
+            { 'lastMessage.sentAt': { $lt: cursor.sentAt } },
+            { 'lastMessage.sentAt': cursor.sentAt, 'lastMessage._id': { $lt: cursor.messageId } }
           ]
-        }).sort({ sentAt: -1 });
-        
-        const unreadCount = await Message.countDocuments({
-          senderId: partner._id,
-          receiverId: userId,
-          read: false
-        });
-        
-        return {
-          otherUser: {
-            _id: partner._id,
-            name: `${partner.profile?.firstName || ''} ${partner.profile?.lastName || ''}`.trim()
-          },
-          lastMessage: lastMessage ? {
-            _id: lastMessage._id,
-            content: lastMessage.content,
-            sentAt: lastMessage.sentAt,
-            read: lastMessage.read,
-            senderId: lastMessage.senderId
-          } : null,
-          unreadCount
-        };
-      })
+        }
+      });
+    }
+
+    pipeline.push(
+      { $limit: limit + 1 },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'partnerId',
+          foreignField: '_id',
+          as: 'partner',
+          pipeline: [{ $project: { 'profile.firstName': 1, 'profile.lastName': 1 } }]
+        }
+      },
+      {
+        $lookup: {
+          from: 'bookings',
+          localField: 'thread.bookingId',
+          foreignField: '_id',
+          as: 'booking',
+          pipeline: [
+            { $lookup: { from: 'services', localField: 'serviceId', foreignField: '_id', as: 'service' } },
+            {
+              $project: {
+                date: 1,
+                timeSlot: 1,
+                status: 1,
+                service: { $arrayElemAt: ['$service.title', 0] }
+              }
+            }
+          ]
+        }
+      }
     );
-    
-    // Sort by last message date
-    foundConversations.sort((a, b) => {
-      if (!a.lastMessage) return 1;
-      if (!b.lastMessage) return -1;
-      return new Date(b.lastMessage.sentAt) - new Date(a.lastMessage.sentAt);
+
+    const results = await Message.aggregate(pipeline);
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+
+    const foundConversations = page.map(entry => {
+      const partner = entry.partner[0];
+      return {
+        conversationId: entry._id.conversationId,
+        otherUser: partner ? formatOtherUser(partner) : null,
+        booking: entry.booking[0] || null,
+        lastMessage: formatLastMessage(entry.lastMessage),
+        unreadCount: entry.unreadCount
+      };
+    });
+
+    const last = page[page.length - 1];
+    res.status(200).json({
+      conversations: foundConversations,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeListCursor(last.lastMessage) : null
+      }
     });
-    
-    res.status(200).json({conversations: foundConversations});
 
   } catch (err) {
     res.status(500).json({err: 'Service temporarily unavailable'});
   }
 });
 
-// Get unread message count - GET - /messages/unread/count
-router.get('/unread/count', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+// Get a booking's thread - GET - /messages/booking/:bookingId
+// Paged like /messages/conversation/:userId, with before and after cursors
+router.get('/booking/:bookingId', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
   try {
-    const unreadCount = await Message.countDocuments({
+    const conversation = await findBookingThread(req.params.bookingId, req.user, res);
+    const page = await findMessagePage({
+      conversationId: conversation._id,
+      ...Message.visibleTo(req.user._id)
+    }, req.query, res);
+
+    res.status(200).json({
+      conversation: page.messages,
+      conversationId: conversation._id,
+      bookingId: conversation.bookingId,
+      pagination: page.pagination
+    });
+
+  } catch (err) {
+    if (res.statusCode === 404 || res.statusCode === 403 || res.statusCode === 400) {
+      res.json({err: err.message});
+    } else {
+      res.status(500).json({err: 'Conversation retrieval failed'});
+    }
+  }
+});
+
+// Update route - PUT - /messages/booking/:bookingId/read
+router.put('/booking/:bookingId/read', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const conversation = await findBookingThread(req.params.bookingId, req.user, res);
+
+    const unreadFilter = {
+      conversationId: conversation._id,
       receiverId: req.user._id,
       read: false
+    };
+    const messageIds = await Message.find(unreadFilter).distinct('_id');
+    const result = await Message.updateMany(
+      { ...unreadFilter, _id: { $in: messageIds } },
+      { read: true }
+    );
+
+    if (messageIds.length > 0) {
+      emitToUsers(conversation.participants, 'message:read', {
+        readerId: req.user._id,
+        messageIds,
+        readAt: new Date()
+      });
+      await emitUnreadCount(req.user._id);
+    }
+
+    res.status(200).json({
+      message: 'Messages marked as read',
+      modifiedCount: result.modifiedCount
     });
 
+  } catch (err) {
+    if (res.statusCode === 404 || res.statusCode === 403) {
+      res.json({err: err.message});
+    } else {
+      res.status(500).json({err: 'Database operation failed'});
+    }
+  }
+});
+
+// Get unread message count - GET - /messages/unread/count
+router.get('/unread/count', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const unreadCount = await Message.countDocuments(unreadMessagesFilter(req.user._id));
+
     res.status(200).json({unreadCount});
 
   } catch (err) {
@@ -348,16 +1162,28 @@ router.put('/mark-read/:userId', verifyToken, checkRole(['admin', 'provider', 'c
       throw new Error('User not found');
     }
 
-    // Mark all messages from this user as read
+    // Mark the direct messages from this user as read - booking threads are read separately
+    const unreadFilter = {
+      senderId: userId,
+      receiverId: req.user._id,
+      conversationId: null,
+      read: false
+    };
+    const messageIds = await Message.find(unreadFilter).distinct('_id');
     const result = await Message.updateMany(
-      {
-        senderId: userId,
-        receiverId: req.user._id,
-        read: false
-      },
+      { ...unreadFilter, _id: { $in: messageIds } },
       { read: true }
     );
 
+    if (messageIds.length > 0) {
+      emitToUsers([userId, req.user._id], 'message:read', {
+        readerId: req.user._id,
+        messageIds,
+        readAt: new Date()
+      });
+      await emitUnreadCount(req.user._id);
+    }
+
     res.status(200).json({ 
       message: 'Messages marked as read',
       modifiedCount: result.modifiedCount 
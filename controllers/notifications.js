@@ -0,0 +1,60 @@
+const express = require('express');
+const Notification = require('../models/notification');
+const verifyToken = require('../middleware/verify-token');
+const checkRole = require('../middleware/checkRole');
+
+const router = express.Router();
+
+// Index route - GET - /notifications
+router.get('/', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { userId: req.user._id };
+    if (req.query.unread === 'true') filter.read = false;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalNotifications = await Notification.countDocuments(filter);
+    const totalPages = Math.ceil(totalNotifications / limit);
+
+    res.status(200).json({
+      notifications,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalNotifications,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ err: 'Failed to fetch notifications' });
+  }
+});
+
+// Update route - PUT - /notifications/:notificationId/read
+router.put('/:notificationId/read', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, userId: req.user._id },
+      { read: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ err: 'Notification not found' });
+    }
+
+    res.status(200).json({ notification });
+  } catch (err) {
+    res.status(500).json({ err: 'Failed to update notification' });
+  }
+});
+
+module.exports = router;
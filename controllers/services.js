@@ -3,20 +3,12 @@ const multer = require('multer');
 const Service = require('../models/services');
 const verifyToken = require('../middleware/verify-token');
 const checkRole = require('../middleware/checkRole');
+const { PUBLIC_UPLOAD_DIR, createDiskStorage } = require('../utils/uploads');
 
 const router = express.Router();
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/');
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + '-' + file.originalname);
-  }
-});
+const storage = createDiskStorage(PUBLIC_UPLOAD_DIR);
 
 // File filter to accept only images
 const fileFilter = (req, file, cb) => {
@@ -39,7 +31,7 @@ const upload = multer({
 // CREATE a service (provider or admin)
 router.post('/', verifyToken, upload.array('images', 10), async (req, res) => {
   try {
-    const { title, description, price, category, provider } = req.body;
+    const { title, description, price, category, provider, duration, bufferTime } = req.body;
 
     // Check permissions: user must be admin, or a provider creating for themselves
     const isAdmin = req.user.role === 'admin';
@@ -56,6 +48,12 @@ router.post('/', verifyToken, upload.array('images', 10), async (req, res) => {
     if (typeof price !== 'number' || price < 0) {
       return res.status(400).json({ err: 'Price must be a valid number in BD' });
     }
+    if (duration != null && (typeof duration !== 'number' || duration < 5 || duration > 1440)) {
+      return res.status(400).json({ err: 'Duration must be a number of minutes between 5 and 1440' });
+    }
+    if (bufferTime != null && (typeof bufferTime !== 'number' || bufferTime < 0 || bufferTime > 240)) {
+      return res.status(400).json({ err: 'Buffer time must be a number of minutes between 0 and 240' });
+    }
 
     // Process images: start with any existing image URLs, then add uploaded files
     let images = [];
@@ -88,6 +86,8 @@ router.post('/', verifyToken, upload.array('images', 10), async (req, res) => {
       price,
       category,
       provider,
+      duration,
+      bufferTime,
       images,
     });
     return res.status(201).json(created);
@@ -155,7 +155,7 @@ router.get('/', async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     // Execute query
-    const services = await Service.find(filter, 'title description price category provider images createdAt')
+    const services = await Service.find(filter, 'title description price duration bufferTime category provider images createdAt')
       .populate('provider', 'name email')
       .populate('category', 'name')
       .skip(skip)
@@ -215,6 +215,16 @@ router.put('/:serviceId', verifyToken, async (req, res) => {
         return res.status(400).json({ err: 'Price must be a valid number in BD' });
       }
     }
+    if (updates.duration != null) {
+      if (typeof updates.duration !== 'number' || updates.duration < 5 || updates.duration > 1440) {
+        return res.status(400).json({ err: 'Duration must be a number of minutes between 5 and 1440' });
+      }
+    }
+    if (updates.bufferTime != null) {
+      if (typeof updates.bufferTime !== 'number' || updates.bufferTime < 0 || updates.bufferTime > 240) {
+        return res.status(400).json({ err: 'Buffer time must be a number of minutes between 0 and 240' });
+      }
+    }
 
     const updated = await Service.findByIdAndUpdate(
       req.params.serviceId,
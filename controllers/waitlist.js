@@ -0,0 +1,195 @@
+const express = require('express');
+const Waitlist = require('../models/waitlist');
+const Availability = require('../models/availability');
+const Booking = require('../models/booking');
+const Service = require('../models/services');
+const SlotReservation = require('../models/slotReservation');
+const verifyToken = require('../middleware/verify-token');
+const checkRole = require('../middleware/checkRole');
+const {
+  TIME_REGEX,
+  DEFAULT_TIMEZONE,
+  toMinutes,
+  toDateKey,
+  resolveDateKey,
+  addDays,
+  getStaffSlots
+} = require('../utils/scheduling');
+
+const router = express.Router();
+
+/**
+ * Validate preferred time windows - returns an error message or null
+ */
+function validateWindows(preferredWindows) {
+  if (!Array.isArray(preferredWindows)) {
+    return 'preferredWindows must be an array';
+  }
+
+  for (const window of preferredWindows) {
+    if (!TIME_REGEX.test(window?.startTime) || !TIME_REGEX.test(window?.endTime)) {
+      return 'Window times must be in HH:MM AM/PM format (e.g., "09:30 AM")';
+    }
+    if (toMinutes(window.startTime) >= toMinutes(window.endTime)) {
+      return 'Window start time must be before its end time';
+    }
+  }
+
+  return null;
+}
+
+// Create route - POST - /waitlist
+router.post('/', verifyToken, checkRole(['customer']), async (req, res) => {
+  try {
+    const { providerId, serviceId, date, preferredWindows = [] } = req.body;
+
+    if (!providerId || !serviceId || !date) {
+      return res.status(400).json({ err: 'providerId, serviceId and date are required' });
+    }
+
+    const windowError = validateWindows(preferredWindows);
+    if (windowError) {
+      return res.status(400).json({ err: windowError });
+    }
+
+    const service = await Service.findById(serviceId);
+    if (!service) {
+      return res.status(400).json({ err: 'Service not found' });
+    }
+
+    if (service.provider.toString() !== providerId) {
+      return res.status(400).json({ err: 'Service does not belong to this provider' });
+    }
+
+    const availability = await Availability.findOne({ providerId });
+    if (!availability) {
+      return res.status(400).json({ err: 'Provider has no availability schedule configured.' });
+    }
+
+    const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+    const dateKey = resolveDateKey(date, timeZone);
+    if (!dateKey) {
+      return res.status(400).json({ err: 'Invalid date format. Use YYYY-MM-DD.' });
+    }
+
+    const todayKey = toDateKey(new Date(), timeZone);
+    if (dateKey < todayKey || dateKey > addDays(todayKey, availability.advanceBookingDays)) {
+      return res.status(400).json({ err: 'Date is outside the provider\'s booking window' });
+    }
+
+    // Slots already held by pending or confirmed bookings, except the customer's own holds
+    const bookedTimesByDay = await Booking.getBookedTimesByStaff(
+      providerId, dateKey, dateKey, timeZone, { heldFor: req.user._id }
+    );
+    const { slots, day } = getStaffSlots(availability, dateKey, {
+      serviceId: service._id,
+      duration: service.duration,
+      bufferTime: service.bufferTime
+    }, { bookedTimesByStaff: bookedTimesByDay.get(dateKey) });
+    if (!day.isOpen) {
+      return res.status(400).json({ err: day.reason });
+    }
+
+    const existing = await Waitlist.findOne({
+      customerId: req.user._id,
+      providerId,
+      serviceId,
+      date: dateKey,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(409).json({ err: 'You are already on the waitlist for this day', entry: existing });
+    }
+
+    const entry = new Waitlist({
+      customerId: req.user._id,
+      providerId,
+      serviceId,
+      date: dateKey,
+      preferredWindows
+    });
+
+    // Only full days can be waitlisted - free matching slots should be booked directly
+    const openSlots = slots.filter(slot => slot.available && entry.matchesWindows(slot));
+
+    if (openSlots.length > 0) {
+      return res.status(400).json({
+        err: 'Slots are still available on this day - book one directly',
+        slots: openSlots
+      });
+    }
+
+    await entry.save();
+
+    res.status(201).json({
+      message: 'Added to waitlist',
+      entry
+    });
+  } catch (err) {
+    console.error('Create waitlist entry error:', err);
+    res.status(500).json({ err: 'Failed to join waitlist' });
+  }
+});
+
+// Index route - GET - /waitlist
+router.get('/', verifyToken, checkRole(['admin', 'provider', 'customer']), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.user.role === 'customer') filter.customerId = req.user._id;
+    if (req.user.role === 'provider') filter.providerId = req.user._id;
+    if (req.query.date) filter.date = req.query.date;
+
+    await Waitlist.expireOffers(filter);
+
+    if (req.query.status) filter.status = req.query.status;
+
+    const entries = await Waitlist.find(filter)
+      .populate('customerId', 'username profile.firstName profile.lastName')
+      .populate('providerId', 'username profile.firstName profile.lastName')
+      .populate('serviceId', 'title price duration')
+      .sort({ date: 1, createdAt: 1 });
+
+    res.status(200).json({ entries });
+  } catch (err) {
+    console.error('Get waitlist error:', err);
+    res.status(500).json({ err: 'Failed to fetch waitlist' });
+  }
+});
+
+// Delete route - DELETE - /waitlist/:entryId
+router.delete('/:entryId', verifyToken, checkRole(['admin', 'customer']), async (req, res) => {
+  try {
+    const entry = await Waitlist.findById(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ err: 'Waitlist entry not found' });
+    }
+
+    if (req.user.role !== 'admin' && entry.customerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ err: 'Access denied' });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return res.status(400).json({ err: `Cannot leave a waitlist entry that is ${entry.status}` });
+    }
+
+    const wasOffered = entry.status === 'offered';
+    entry.status = 'cancelled';
+    await entry.save();
+    await SlotReservation.deleteMany({ waitlistEntryId: entry._id });
+
+    // A declined offer goes to the next customer in line
+    if (wasOffered) {
+      await Waitlist.offerFreedSlots(entry.providerId, entry.date);
+    }
+
+    res.status(200).json({
+      message: 'Left the waitlist',
+      entry
+    });
+  } catch (err) {
+    console.error('Delete waitlist entry error:', err);
+    res.status(500).json({ err: 'Failed to leave waitlist' });
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,35 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
 
+// Verify a JWT and load its user - returns the req.user shape, or null if the user no longer exists.
+// Throws if the token is missing or invalid.
+const authenticateToken = async (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Fetch full user details from database
+  const user = await User.findById(payload._id);
+  if (!user) return null;
+
+  return {
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    profile: user.profile
+  };
+};
+
 const verifyToken = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = authHeader.split(' ')[1];
 
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Fetch full user details from database
-    const user = await User.findById(payload._id);
+    const user = await authenticateToken(token);
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
 
-    req.user = {
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      profile: user.profile
-    };
+    req.user = user;
 
     next();
   } catch (err) {
@@ -29,3 +38,4 @@ const verifyToken = async (req, res, next) => {
 };
 
 module.exports = verifyToken;
+module.exports.authenticateToken = authenticateToken;
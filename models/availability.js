@@ -8,19 +8,33 @@
 
 const mongoose = require('mongoose');
 
+const BREAK_REASONS = ["Break", "Lunch", "Meeting", "Travel", "Personal", "Maintenance", "Cleaning"];
+
 const BreakTimeSchema = new mongoose.Schema({
     startTime: {
         type: String,
         required: true,
+        validate: {
+            validator: function(v) {
+                return /^(0?[1-9]|1[0-2]):([0-5]\d)\s?(AM|PM)$/i.test(v); // HH:MM AM/PM format
+            },
+            message: 'Start time must be in HH:MM AM/PM format (e.g., "12:30 PM")'
+        }
     },
     endTime: {
         type: String,
         required: true,
+        validate: {
+            validator: function(v) {
+                return /^(0?[1-9]|1[0-2]):([0-5]\d)\s?(AM|PM)$/i.test(v); // HH:MM AM/PM format
+            },
+            message: 'End time must be in HH:MM AM/PM format (e.g., "01:30 PM")'
+        }
     },
     reason: {
         type: String,
         default: "Break",
-        enum: ["Lunch", "Meeting", "Travel", "Personal", "Maintenance", "Cleaning"]
+        enum: BREAK_REASONS
     }
 });
 
@@ -95,6 +109,45 @@ const ExceptionSchema = new mongoose.Schema({
     }
 });
 
+// A staff member who performs the provider's services. Each member is booked separately,
+// so a provider with staff can take one booking per free staff member in a slot.
+const StaffMemberSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Services this member performs; empty means all of the provider's services
+    services: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Service'
+    }],
+    // Own weekly schedule; empty means the provider's schedules apply
+    schedules: [ScheduleSchema],
+    // Own days off and custom hours, on top of the provider's exceptions
+    exceptions: [ExceptionSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// Provider's cancellation terms, applied when a customer cancels a booking
+const CancellationPolicySchema = new mongoose.Schema({
+    freeCancellationHours: {
+        type: Number,
+        min: 0,
+        max: 720,
+        default: 24  // Customers can cancel for free up to this many hours before the slot
+    },
+    lateCancellationFeePercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0  // Percentage of the service price charged for later cancellations
+    }
+}, { _id: false });
+
 const availabilitySchema = new mongoose.Schema({
     providerId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -127,6 +180,12 @@ const availabilitySchema = new mongoose.Schema({
         max: 365,
         default: 30  // How far in advance can customers book
     },
+    cancellationPolicy: {
+        type: CancellationPolicySchema,
+        default: () => ({})
+    },
+    // Staff members with their own calendars - empty for a provider working alone
+    staff: [StaffMemberSchema],
     // System fields
     createdAt: {
         type: Date,
@@ -147,6 +206,8 @@ availabilitySchema.pre('save', function(next) {
     next();
 });
 
+availabilitySchema.statics.BREAK_REASONS = BREAK_REASONS;
+
 const Availability = mongoose.model('Availability', availabilitySchema);
 
 module.exports = Availability;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Block Model for PearlConnect
+ *
+ * One entry per user on another user's block list. Blocked users cannot message the
+ * blocker, and the blocker no longer sees their conversations.
+ */
+
+const blockSchema = new mongoose.Schema({
+  blockerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  blockedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+},
+  { timestamps: true }
+);
+
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+blockSchema.index({ blockedId: 1 });
+
+/**
+ * Find a block between two users in either direction, or null
+ */
+blockSchema.statics.findBetween = function(userId, otherUserId) {
+  return this.findOne({
+    $or: [
+      { blockerId: userId, blockedId: otherUserId },
+      { blockerId: otherUserId, blockedId: userId }
+    ]
+  });
+};
+
+/**
+ * Ids of the users the given user has blocked
+ */
+blockSchema.statics.getBlockedIds = function(userId) {
+  return this.find({ blockerId: userId }).distinct('blockedId');
+};
+
+const Block = mongoose.model("Block", blockSchema);
+
+module.exports = Block;
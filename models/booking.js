@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const SlotReservation = require('./slotReservation');
+const Conversation = require('./conversation');
+const { DEFAULT_TIMEZONE, toDateKey, addDays, startOfDay } = require('../utils/scheduling');
 
 /**
  * Booking Model for PearlConnect
@@ -8,6 +11,141 @@ const mongoose = require('mongoose');
  * who will perform the service.
  */
 
+const BOOKING_STATUSES = ["pending", "confirmed", "declined", "completed", "cancelled"];
+
+// Allowed lifecycle transitions: current status -> next status -> roles that may perform it.
+// Admins may perform any listed transition.
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ["provider"],
+    declined: ["provider"],
+    cancelled: ["customer"],
+  },
+  confirmed: {
+    completed: ["provider"],
+    cancelled: ["customer", "provider"],
+  },
+  declined: {},
+  completed: {},
+  cancelled: {},
+};
+
+// One entry per status change, kept in order on the booking
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: BOOKING_STATUSES,
+    required: true,
+  },
+  previousStatus: {
+    type: String,
+    enum: BOOKING_STATUSES,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["customer", "provider", "admin"],
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A slot the booking used to occupy, or a slot proposed for it
+const bookingSlotSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+  timeSlot: {
+    type: String,
+    required: true,
+  },
+  duration: {
+    type: Number,
+  },
+  reservedSlots: [{
+    type: String,
+  }],
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,  // Availability staff member, for providers with staff
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  requestedByRole: {
+    type: String,
+    enum: ["customer", "provider", "admin"],
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Only set on previousSlots entries
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  rescheduledAt: {
+    type: Date,
+  },
+});
+
+// Who cancelled a booking, why, and what the cancellation policy charged
+const cancellationSchema = new mongoose.Schema({
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["customer", "provider", "admin"],
+    required: true,
+  },
+  reason: {
+    type: String,
+    trim: true,
+  },
+  cancelledAt: {
+    type: Date,
+    default: Date.now,
+  },
+  hoursBeforeStart: {
+    type: Number,
+  },
+  freeCancellationHours: {
+    type: Number,
+  },
+  isLateCancellation: {
+    type: Boolean,
+    default: false,
+  },
+  feePercent: {
+    type: Number,
+    default: 0,
+  },
+  fee: {
+    type: Number,
+    default: 0,  // In BD, rounded to fils
+  },
+}, { _id: false });
+
 const bookingSchema = new mongoose.Schema({
   serviceId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,7 +164,22 @@ const bookingSchema = new mongoose.Schema({
   },
   date: {
     type: Date,
-    required: true,
+    required: true,  // Absolute start instant of the booked slot
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,  // Provider's IANA timezone when the booking was made
+  },
+  duration: {
+    type: Number,
+    min: 1,  // Minutes, from the service (or the provider's slotDuration)
+  },
+  reservedSlots: [{
+    type: String,  // Base slot start times ("HH:MM AM/PM") this booking holds on its day
+  }],
+  // Staff member performing the booking (an Availability staff entry), for providers with staff
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
   },
   timeSlot: {
     type: String,
@@ -40,12 +193,30 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ["pending", "confirmed", "completed", "cancelled"],
+    enum: BOOKING_STATUSES,
     default: "pending",
   },
-  messages: {
+  statusHistory: [statusHistorySchema],
+  // Open reschedule proposal waiting for the other party
+  rescheduleRequest: {
+    type: bookingSlotSchema,
+    default: null,
+  },
+  // Slots this booking occupied before accepted reschedules
+  previousSlots: [bookingSlotSchema],
+  cancellation: {
+    type: cancellationSchema,
+    default: null,
+  },
+  // Recurring series this booking is an occurrence of
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BookingSeries",
+  },
+  // Message thread between the customer and provider, created with the booking
+  conversationId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Message',
+    ref: 'Conversation',
   },
 },
   { timestamps: true }
@@ -54,12 +225,194 @@ const bookingSchema = new mongoose.Schema({
 // Index for efficient conflict detection queries
 bookingSchema.index({ providerId: 1, date: 1, timeSlot: 1 });
 bookingSchema.index({ customerId: 1, createdAt: -1 });
+bookingSchema.index({ seriesId: 1, date: 1 });
 
 // Virtual for formatted display date/time
 bookingSchema.virtual('formattedDateTime').get(function() {
-  return `${this.date.toISOString().split('T')[0]} ${this.timeSlot}`;
+  return `${toDateKey(this.date, this.timezone || DEFAULT_TIMEZONE)} ${this.timeSlot}`;
 });
 
+// Give a new booking its thread id, and note the status changes being saved so they can be
+// posted to the thread afterwards
+bookingSchema.pre('save', function(next) {
+  if (this.isNew && !this.conversationId) this.conversationId = new mongoose.Types.ObjectId();
+  this.$locals.newStatusChanges = this.isNew
+    ? this.statusHistory.slice()
+    : this.statusHistory.filter(entry => entry.isNew);
+  next();
+});
+
+// Post the saved status changes as system messages. A failure is logged only - the booking
+// itself was saved.
+bookingSchema.post('save', async function(booking) {
+  const changes = booking.$locals.newStatusChanges || [];
+  booking.$locals.newStatusChanges = [];
+
+  try {
+    for (const change of changes) {
+      await Conversation.postStatusChange(booking, change);
+    }
+  } catch (err) {
+    console.error('Booking thread message error:', err);
+  }
+});
+
+/**
+ * Check whether the given booking role may move this booking to the next status
+ */
+bookingSchema.methods.canTransitionTo = function(nextStatus, role) {
+  const allowedRoles = STATUS_TRANSITIONS[this.status]?.[nextStatus];
+  if (!allowedRoles) return false;
+  return role === 'admin' || allowedRoles.includes(role);
+};
+
+/**
+ * Apply a status change and record it in the status history.
+ * Callers are expected to check canTransitionTo() first; the booking is not saved here.
+ */
+bookingSchema.methods.transitionTo = function(nextStatus, { changedBy, role, reason }) {
+  this.statusHistory.push({
+    status: nextStatus,
+    previousStatus: this.status,
+    changedBy,
+    role,
+    reason
+  });
+  this.status = nextStatus;
+  return this;
+};
+
+/**
+ * Cancel the booking under the provider's cancellation policy and record who cancelled,
+ * why and the fee. Only customers pay the late-cancellation fee, charged when they cancel
+ * within freeCancellationHours of the slot. Callers check canTransitionTo('cancelled') first.
+ */
+bookingSchema.methods.cancel = function({ changedBy, role, reason, policy = {}, price = 0, now = new Date() }) {
+  const hoursBeforeStart = (this.date.getTime() - now.getTime()) / (60 * 60000);
+  const freeCancellationHours = policy.freeCancellationHours ?? 24;
+  const isLateCancellation = role === 'customer' && hoursBeforeStart < freeCancellationHours;
+  const feePercent = isLateCancellation ? (policy.lateCancellationFeePercent ?? 0) : 0;
+
+  this.cancellation = {
+    cancelledBy: changedBy,
+    role,
+    reason,
+    cancelledAt: now,
+    hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+    freeCancellationHours,
+    isLateCancellation,
+    feePercent,
+    fee: Math.round(price * feePercent * 10) / 1000
+  };
+  this.rescheduleRequest = null;
+
+  return this.transitionTo('cancelled', { changedBy, role, reason });
+};
+
+/**
+ * Propose moving the booking to another bookable slot and save it. The proposed slot is held
+ * alongside the current one until the other party answers. Returns null if the slot was
+ * taken meanwhile. Callers check that the booking has no open request first.
+ */
+bookingSchema.methods.proposeReschedule = async function(slot, { requestedBy, role, reason }) {
+  this.rescheduleRequest = {
+    date: slot.startsAt,
+    timeSlot: slot.startTime,
+    duration: slot.duration,
+    reservedSlots: slot.coveredSlots,
+    staffId: slot.staffId,
+    requestedBy,
+    requestedByRole: role,
+    reason
+  };
+
+  try {
+    await SlotReservation.reserve(this, { slot: this.rescheduleRequest, purpose: 'reschedule' });
+  } catch (err) {
+    this.rescheduleRequest = null;
+    if (err.code === 11000) return null;
+    throw err;
+  }
+
+  try {
+    await this.save();
+  } catch (err) {
+    await SlotReservation.release(this._id, 'reschedule');
+    throw err;
+  }
+  await SlotReservation.confirm(this._id);
+
+  return this;
+};
+
+/**
+ * Collect the base slot times held by a provider's pending or confirmed bookings, for an
+ * inclusive range of days in the given timezone. Returns a Map of day key -> Map of staff id
+ * -> times, where bookings without a staff member are under the key ''. Each booking also
+ * adds its { startsAt, endsAt } range, so it still blocks overlapping slots after the
+ * provider's slot grid changes (see markSlotAvailability).
+ * Slots proposed in open reschedule requests and live waitlist holds count as held too.
+ */
+bookingSchema.statics.getBookedTimesByStaff = async function(providerId, fromKey, toKey, timeZone, { excludeBookingId, heldFor } = {}) {
+  const rangeStart = startOfDay(fromKey, timeZone);
+  const rangeEnd = startOfDay(addDays(toKey, 1), timeZone);
+
+  const filter = {
+    providerId,
+    status: { $in: ['pending', 'confirmed'] },
+    $or: [
+      { date: { $gte: rangeStart, $lt: rangeEnd } },
+      { 'rescheduleRequest.date': { $gte: rangeStart, $lt: rangeEnd } }
+    ]
+  };
+  if (excludeBookingId) filter._id = { $ne: excludeBookingId };
+
+  const activeBookings = await this.find(filter).select('date timeSlot duration reservedSlots staffId rescheduleRequest');
+
+  const bookedTimesByDay = new Map();
+  const addTimes = (dateKey, staffId, times) => {
+    if (dateKey < fromKey || dateKey > toKey) return;
+    if (!bookedTimesByDay.has(dateKey)) bookedTimesByDay.set(dateKey, new Map());
+    const byStaff = bookedTimesByDay.get(dateKey);
+    const staffKey = staffId ? staffId.toString() : '';
+    if (!byStaff.has(staffKey)) byStaff.set(staffKey, []);
+    byStaff.get(staffKey).push(...times);
+  };
+  // Bookings spanning several base slots hold all of them, and their own time range
+  const addHeldSlots = (slot) => {
+    const times = slot.reservedSlots?.length ? [...slot.reservedSlots] : [slot.timeSlot];
+    if (slot.duration) {
+      times.push({ startsAt: slot.date, endsAt: new Date(slot.date.getTime() + slot.duration * 60000) });
+    }
+    addTimes(toDateKey(slot.date, timeZone), slot.staffId, times);
+  };
+
+  for (const booking of activeBookings) {
+    addHeldSlots(booking);
+    if (booking.rescheduleRequest) addHeldSlots(booking.rescheduleRequest);
+  }
+
+  // Slots offered to waitlisted customers stay held until the offer expires,
+  // except for the customer they are held for
+  const holdFilter = {
+    providerId,
+    purpose: 'waitlist',
+    day: { $gte: fromKey, $lte: toKey },
+    expiresAt: { $gt: new Date() }
+  };
+  if (heldFor) holdFilter.heldFor = { $ne: heldFor };
+  const holds = await SlotReservation.find(holdFilter).select('day timeSlot staffId');
+
+  for (const hold of holds) {
+    addTimes(hold.day, hold.staffId, [hold.timeSlot]);
+  }
+
+  return bookedTimesByDay;
+};
+
+bookingSchema.statics.STATUSES = BOOKING_STATUSES;
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 // Ensure virtual fields are serialised
 bookingSchema.set('toJSON', { virtuals: true });
 bookingSchema.set('toObject', { virtuals: true });
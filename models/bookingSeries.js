@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Booking Series Model for PearlConnect
+ *
+ * A recurring booking: the same service and time slot every week or every N weeks.
+ * Each occurrence is a regular Booking with seriesId pointing back here, so occurrences
+ * follow the normal booking lifecycle and can be cancelled one at a time.
+ */
+
+const bookingSeriesSchema = new mongoose.Schema({
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Service",
+    required: true,
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  timeSlot: {
+    type: String,
+    required: true,  // Format: "HH:MM AM/PM"
+  },
+  intervalWeeks: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 1,  // 1 = weekly, 2 = bi-weekly, ...
+  },
+  startDate: {
+    type: String,
+    required: true,  // Format: "YYYY-MM-DD" in the provider's timezone
+  },
+  endDate: {
+    type: String,  // Last possible occurrence date, when booked until a date
+  },
+  count: {
+    type: Number,
+    min: 1,  // Number of occurrences, when booked for a count
+  },
+  timezone: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["active", "cancelled"],
+    default: "active",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+},
+  { timestamps: true }
+);
+
+bookingSeriesSchema.index({ customerId: 1, createdAt: -1 });
+bookingSeriesSchema.index({ providerId: 1, createdAt: -1 });
+
+const BookingSeries = mongoose.model("BookingSeries", bookingSeriesSchema);
+
+module.exports = BookingSeries;
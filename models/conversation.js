@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Message = require('./message');
+const { DEFAULT_TIMEZONE, toDateKey } = require('../utils/scheduling');
+const { emitToUsers } = require('../utils/realtime');
+
+/**
+ * Conversation Model for PearlConnect
+ *
+ * The message thread of a booking, shared by its customer and provider and readable by
+ * admins. Messages in the thread carry its conversationId; status changes on the booking
+ * are posted to it as system messages.
+ */
+
+// System message text for each status a booking moves to
+const STATUS_MESSAGES = {
+  pending: 'Booking requested',
+  confirmed: 'Booking confirmed',
+  declined: 'Booking declined',
+  completed: 'Booking marked as completed',
+  cancelled: 'Booking cancelled',
+};
+
+const conversationSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+    required: true,
+    unique: true,
+  },
+  // The booking's customer and provider
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  }],
+  lastMessageAt: {
+    type: Date,
+    default: Date.now,
+  },
+},
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+/**
+ * Get the thread of a booking, creating it (with the booking's conversationId) if needed
+ */
+conversationSchema.statics.openForBooking = async function(booking) {
+  const conversation = await this.findOneAndUpdate(
+    { bookingId: booking._id },
+    {
+      $setOnInsert: {
+        _id: booking.conversationId || new mongoose.Types.ObjectId(),
+        participants: [booking.customerId, booking.providerId]
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (!booking.conversationId?.equals(conversation._id)) {
+    booking.conversationId = conversation._id;
+    await booking.constructor.updateOne({ _id: booking._id }, { conversationId: conversation._id });
+  }
+  return conversation;
+};
+
+/**
+ * Add a message to the thread and push it to both participants
+ */
+conversationSchema.methods.postMessage = async function({ senderId, receiverId, content, attachments = [], type = 'user' }) {
+  const message = await Message.create({
+    conversationId: this._id,
+    senderId,
+    receiverId,
+    content,
+    attachments,
+    type
+  });
+  await this.constructor.updateOne({ _id: this._id }, { lastMessageAt: message.sentAt });
+
+  const populatedMessage = await Message.findById(message._id)
+    .populate('senderId', 'profile.firstName profile.lastName')
+    .populate('receiverId', 'profile.firstName profile.lastName');
+  emitToUsers([senderId, receiverId], 'message:new', populatedMessage);
+
+  return populatedMessage;
+};
+
+/**
+ * Post a booking status change to the booking's thread as a system message.
+ * It is sent by whoever made the change to the other party; changes by an admin go to the customer.
+ */
+conversationSchema.statics.postStatusChange = async function(booking, change) {
+  const conversation = await this.openForBooking(booking);
+  const receiverId = change.changedBy.equals(booking.customerId) ? booking.providerId : booking.customerId;
+
+  const when = `${toDateKey(booking.date, booking.timezone || DEFAULT_TIMEZONE)} ${booking.timeSlot}`;
+  const byRole = change.role === 'admin' ? ' by an admin' : '';
+  let content = `${STATUS_MESSAGES[change.status] || `Booking ${change.status}`}${byRole} for ${when}.`;
+  if (change.reason) content += ` Reason: ${change.reason}`;
+
+  return conversation.postMessage({ senderId: change.changedBy, receiverId, content, type: 'system' });
+};
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+module.exports = Conversation;
@@ -1,5 +1,59 @@
 const mongoose = require('mongoose');
 
+// A file sent with a message, stored privately and served at its url to the participants only
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true  // Name on disk in the private attachments directory
+  },
+  originalName: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true  // Bytes
+  }
+}, { toObject: { virtuals: true } });
+
+// ownerDocument, so attachments kept in the edit history link to their message too
+attachmentSchema.virtual('url').get(function() {
+  return `/message/${this.ownerDocument()._id}/attachments/${this._id}`;
+});
+
+// The stored filename stays server-side
+attachmentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.filename;
+    return ret;
+  }
+});
+
+// How long after sending a message its sender can still edit it
+const EDIT_WINDOW_MINUTES = 15;
+
+// An earlier version of an edited or deleted message, kept for admins
+const messageVersionSchema = new mongoose.Schema({
+  content: {
+    type: String
+  },
+  // Attachments removed from the message when it was deleted - their files are kept
+  attachments: {
+    type: [attachmentSchema],
+    default: undefined
+  },
+  // When this version was replaced by an edit or deleted
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
 
   senderId: {
@@ -14,17 +68,128 @@ const messageSchema = new mongoose.Schema({
   },
   content: { 
     type: String, 
-    required: true, 
+    // Optional when the message carries attachments, and cleared when it is deleted
+    required: function() { return !this.attachments?.length && !this.deletedAt; },
     trim: true 
   },
+  attachments: [attachmentSchema],
   read: { 
     type: Boolean, 
     default: false 
   },
+  // Booking thread the message belongs to; null for direct messages
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+    default: null
+  },
+  // Service a customer is asking about, for first messages to a provider
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Service",
+    default: null
+  },
+  // System messages record booking events in a thread
+  type: {
+    type: String,
+    enum: ["user", "system"],
+    default: "user"
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Earlier versions, including the last one before a delete - only loaded for admins
+  editHistory: {
+    type: [messageVersionSchema],
+    select: false
+  },
+  // Set when the sender deletes the message for everyone; the message stays as a tombstone
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Users who deleted the message for themselves only
+  hiddenFor: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    select: false
+  },
   },
   { timestamps: { createdAt: "sentAt", updatedAt: false } }
 );
 
+// Conversation list and direct conversations: the user's messages by partner, newest first
+messageSchema.index({ senderId: 1, receiverId: 1, sentAt: -1 });
+messageSchema.index({ receiverId: 1, senderId: 1, sentAt: -1 });
+// Unread counts
+messageSchema.index({ receiverId: 1, read: 1 });
+// Booking threads
+messageSchema.index({ conversationId: 1, sentAt: 1 });
+// Rate limiting
+messageSchema.index({ senderId: 1, sentAt: -1 });
+// Message search
+messageSchema.index({ content: 'text' });
+
+/**
+ * Check whether the sender can still edit the message
+ */
+messageSchema.methods.canEdit = function(userId, now = new Date()) {
+  return this.senderId.equals(userId) &&
+    this.type !== 'system' &&
+    !this.deletedAt &&
+    now - this.sentAt <= EDIT_WINDOW_MINUTES * 60000;
+};
+
+/**
+ * Replace the content, keeping the previous version in the edit history. Not saved here.
+ */
+messageSchema.methods.edit = function(content, now = new Date()) {
+  this.editHistory.push({ content: this.content, replacedAt: now });
+  this.content = content;
+  this.editedAt = now;
+  return this;
+};
+
+/**
+ * Turn the message into a tombstone for both sides. The content and attachments move to the
+ * edit history, so admins can still review a reported message. Not saved here.
+ */
+messageSchema.methods.deleteForEveryone = function(now = new Date()) {
+  this.editHistory.push({
+    content: this.content,
+    attachments: this.attachments.map(attachment => attachment.toObject()),
+    replacedAt: now
+  });
+  this.content = '';
+  this.attachments = [];
+  this.deletedAt = now;
+  return this;
+};
+
+/**
+ * Find an attachment by id - admins also get those of deleted versions, which needs the
+ * message loaded with +editHistory
+ */
+messageSchema.methods.findAttachment = function(attachmentId, { includeDeleted = false } = {}) {
+  const current = this.attachments.id(attachmentId);
+  if (current || !includeDeleted) return current;
+
+  for (const version of this.editHistory || []) {
+    const removed = version.attachments?.find(attachment => attachment._id.equals(attachmentId));
+    if (removed) return removed;
+  }
+  return null;
+};
+
+/**
+ * Filter for messages a user has not deleted for themselves
+ */
+messageSchema.statics.visibleTo = function(userId) {
+  return { hiddenFor: { $ne: userId } };
+};
+
+messageSchema.statics.EDIT_WINDOW_MINUTES = EDIT_WINDOW_MINUTES;
+
 const Message = mongoose.model('Message', messageSchema);
 
 module.exports = Message;
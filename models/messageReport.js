@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message Report Model for PearlConnect
+ *
+ * A moderation case opened when a recipient reports a message. The message is copied into
+ * the report as it was when reported, so later edits or deletion do not change the evidence.
+ */
+
+const REPORT_REASONS = ["spam", "harassment", "inappropriate", "scam", "other"];
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+const MAX_DETAILS_LENGTH = 1000;
+
+// The reported message as it was when reported
+const messageSnapshotSchema = new mongoose.Schema({
+  content: {
+    type: String,
+  },
+  attachments: [{
+    _id: mongoose.Schema.Types.ObjectId,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+  }],
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+  },
+  sentAt: {
+    type: Date,
+  },
+}, { _id: false });
+
+const reportResolutionSchema = new mongoose.Schema({
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ["none", "suspended_sender"],
+    default: "none",
+  },
+  note: {
+    type: String,
+    trim: true,
+  },
+  resolvedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const messageReportSchema = new mongoose.Schema({
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Message",
+    required: true,
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true,
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: MAX_DETAILS_LENGTH,
+  },
+  snapshot: {
+    type: messageSnapshotSchema,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: "open",
+  },
+  resolution: {
+    type: reportResolutionSchema,
+    default: null,
+  },
+},
+  { timestamps: true }
+);
+
+// A recipient reports a message once
+messageReportSchema.index({ messageId: 1, reporterId: 1 }, { unique: true });
+messageReportSchema.index({ status: 1, createdAt: -1 });
+messageReportSchema.index({ senderId: 1, createdAt: -1 });
+
+messageReportSchema.statics.REASONS = REPORT_REASONS;
+messageReportSchema.statics.STATUSES = REPORT_STATUSES;
+messageReportSchema.statics.MAX_DETAILS_LENGTH = MAX_DETAILS_LENGTH;
+
+const MessageReport = mongoose.model("MessageReport", messageReportSchema);
+
+module.exports = MessageReport;
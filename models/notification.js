@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Model for PearlConnect
+ *
+ * In-app notices for a user about things that happened outside a conversation,
+ * such as a waitlist slot being offered to them.
+ */
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["waitlist_offer"],
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  message: {
+    type: String,
+    trim: true,
+  },
+  // Ids and details the client needs to act on the notification
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+},
+  { timestamps: true }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", notificationSchema);
+
+module.exports = Notification;
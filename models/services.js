@@ -35,6 +35,16 @@ const serviceSchema = new mongoose.Schema({
     ref: "User",
     required: true,
   },
+  duration: {
+    type: Number,
+    min: 5,
+    max: 1440,  // Minutes per booking; falls back to the provider's slotDuration when unset
+  },
+  bufferTime: {
+    type: Number,
+    min: 0,
+    max: 240,  // Minutes to keep free after each booking of this service
+  },
   images: [imageSchema], 
   createdAt: {
     type: Date,
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, toDateKey } = require('../utils/scheduling');
+
+/**
+ * Slot Reservation Model for PearlConnect
+ *
+ * Holds a provider's time slot for an active (pending or confirmed) booking. The unique
+ * index on providerId + staffId + day + timeSlot lets MongoDB reject a second booking for the
+ * same slot, even when two requests pass the availability checks at the same moment. Providers
+ * with staff hold slots per staff member; for everyone else staffId is null.
+ *
+ * Keys are base slot times, so they only collide on the same slot grid. Bookings made before
+ * a slotDuration or working hours change are caught by the availability checks instead, which
+ * also compare booked time ranges (Booking.getBookedTimesByStaff).
+ *
+ * A booking with an open reschedule proposal also holds the proposed slots (purpose
+ * 'reschedule') until the proposal is accepted or rejected. A slot offered to a waitlisted
+ * customer is held for them (purpose 'waitlist') until expiresAt.
+ *
+ * New booking and reschedule reservations also expire after PENDING_RESERVATION_SECONDS until
+ * confirm() is called once the booking is saved, so a crash between the two cannot block the
+ * slots forever.
+ */
+
+const slotReservationSchema = new mongoose.Schema({
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  day: {
+    type: String,
+    required: true,  // Format: "YYYY-MM-DD" in the provider's timezone
+  },
+  timeSlot: {
+    type: String,
+    required: true,  // Format: "HH:MM AM/PM"
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+    required: function() {
+      return this.purpose !== 'waitlist';
+    },
+  },
+  purpose: {
+    type: String,
+    enum: ["booking", "reschedule", "waitlist"],
+    default: "booking",
+  },
+  // Waitlist holds only
+  waitlistEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Waitlist",
+  },
+  heldFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  expiresAt: {
+    type: Date,
+  },
+},
+  { timestamps: true }
+);
+
+// How long a reservation lives without its booking being saved
+const PENDING_RESERVATION_SECONDS = 120;
+
+slotReservationSchema.index({ providerId: 1, staffId: 1, day: 1, timeSlot: 1 }, { unique: true });
+slotReservationSchema.index({ bookingId: 1 });
+slotReservationSchema.index({ waitlistEntryId: 1 });
+// MongoDB removes expired waitlist holds and unconfirmed reservations on its own;
+// reservations without expiresAt never expire
+slotReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Staff, day and base slot keys held by a slot ({ date, timeSlot, reservedSlots, staffId })
+function getSlotKeys(slot, timeZone) {
+  const day = toDateKey(slot.date, timeZone || DEFAULT_TIMEZONE);
+  const staffId = slot.staffId || null;
+  const timeSlots = slot.reservedSlots?.length ? slot.reservedSlots : [slot.timeSlot];
+  return timeSlots.map(timeSlot => ({ staffId, day, timeSlot }));
+}
+
+function isSameKey(held, key) {
+  return held.day === key.day && held.timeSlot === key.timeSlot &&
+    String(held.staffId || '') === String(key.staffId || '');
+}
+
+/**
+ * Reserve every base slot the booking covers. Rejects with a duplicate key error
+ * (code 11000) when another booking already holds any of them, leaving nothing reserved.
+ *
+ * Pass `slot` to reserve a proposed slot instead of the booking's own one; base slots
+ * the booking already holds are skipped. Pass `heldFor` to take over that customer's live
+ * waitlist holds on the slots - they are given back if the reservation fails.
+ * The new reservations expire unless confirm() is called after the booking is saved.
+ */
+slotReservationSchema.statics.reserve = async function(booking, { slot = booking, purpose = 'booking', heldFor } = {}) {
+  const held = await this.find({ bookingId: booking._id }).select('staffId day timeSlot');
+  let keys = getSlotKeys(slot, booking.timezone).filter(key => !held.some(h => isSameKey(h, key)));
+  const expiresAt = new Date(Date.now() + PENDING_RESERVATION_SECONDS * 1000);
+
+  // Expired holds and unconfirmed reservations may not have been removed by the TTL monitor yet
+  if (keys.length > 0) {
+    await this.deleteMany({
+      providerId: booking.providerId,
+      $or: keys,
+      expiresAt: { $lte: new Date() }
+    });
+  }
+
+  const takenOver = [];
+  if (heldFor && keys.length > 0) {
+    const holds = await this.find({ providerId: booking.providerId, purpose: 'waitlist', heldFor, $or: keys });
+    for (const hold of holds) {
+      const taken = await this.findOneAndUpdate(
+        { _id: hold._id, purpose: 'waitlist', expiresAt: { $gt: new Date() } },
+        { $set: { bookingId: booking._id, purpose, expiresAt }, $unset: { heldFor: 1, waitlistEntryId: 1 } }
+      );
+      if (taken) takenOver.push(hold);
+    }
+    keys = keys.filter(key => !takenOver.some(hold => isSameKey(hold, key)));
+  }
+
+  try {
+    return await this.insertMany(keys.map(key => ({
+      providerId: booking.providerId,
+      ...key,
+      bookingId: booking._id,
+      purpose,
+      expiresAt
+    })), { ordered: true });
+  } catch (err) {
+    for (const hold of takenOver) {
+      await this.updateOne({ _id: hold._id }, {
+        $set: { purpose: 'waitlist', heldFor: hold.heldFor, waitlistEntryId: hold.waitlistEntryId, expiresAt: hold.expiresAt },
+        $unset: { bookingId: 1 }
+      });
+    }
+    await this.release(booking._id, purpose);
+    throw err;
+  }
+};
+
+/**
+ * Keep a booking's reservations for good once the booking is saved
+ */
+slotReservationSchema.statics.confirm = function(bookingId) {
+  return this.updateMany({ bookingId, expiresAt: { $ne: null } }, { $unset: { expiresAt: 1 } });
+};
+
+/**
+ * Free the slots held by a booking - all of them, or only those held for one purpose
+ */
+slotReservationSchema.statics.release = function(bookingId, purpose) {
+  const filter = { bookingId };
+  if (purpose) filter.purpose = purpose;
+  return this.deleteMany(filter);
+};
+
+/**
+ * Make the booking's reservations match its (new) slot after an accepted reschedule:
+ * slots it no longer covers are freed and the proposed slots become booking slots.
+ */
+slotReservationSchema.statics.moveTo = async function(booking) {
+  const keys = getSlotKeys(booking, booking.timezone);
+  const held = await this.find({ bookingId: booking._id });
+
+  const stale = held.filter(h => !keys.some(key => isSameKey(h, key)));
+  await this.deleteMany({ _id: { $in: stale.map(h => h._id) } });
+  await this.updateMany({ bookingId: booking._id, purpose: 'reschedule' }, { purpose: 'booking' });
+};
+
+/**
+ * Hold base slots for a waitlisted customer until expiresAt. Rejects with a duplicate
+ * key error (code 11000) when any of them is taken, leaving nothing held.
+ */
+slotReservationSchema.statics.hold = async function({ providerId, staffId = null, day, timeSlots, waitlistEntryId, heldFor, expiresAt }) {
+  // Expired holds may not have been removed by the TTL monitor yet
+  await this.deleteMany({ providerId, staffId, day, timeSlot: { $in: timeSlots }, expiresAt: { $lte: new Date() } });
+
+  try {
+    return await this.insertMany(timeSlots.map(timeSlot => ({
+      providerId,
+      staffId,
+      day,
+      timeSlot,
+      purpose: 'waitlist',
+      waitlistEntryId,
+      heldFor,
+      expiresAt
+    })), { ordered: true });
+  } catch (err) {
+    await this.deleteMany({ waitlistEntryId });
+    throw err;
+  }
+};
+
+/**
+ * Free a customer's own waitlist holds on the given slots so they can book them
+ */
+slotReservationSchema.statics.releaseHoldsFor = function(customerId, { providerId, day, timeSlots }) {
+  return this.deleteMany({
+    purpose: 'waitlist',
+    heldFor: customerId,
+    providerId,
+    day,
+    timeSlot: { $in: timeSlots }
+  });
+};
+
+const SlotReservation = mongoose.model("SlotReservation", slotReservationSchema);
+
+module.exports = SlotReservation;
@@ -43,12 +43,36 @@ const userSchema = new mongoose.Schema({
       type: String,
       trim: true
     }
+  },
+  // SHA-256 hash of the secret token in the user's calendar feed URL
+  calendarFeedTokenHash: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
+  // Set by an admin to stop the user sending messages until the given date (null: indefinitely)
+  messagingSuspension: {
+    type: new mongoose.Schema({
+      until: { type: Date, default: null },
+      reason: { type: String, trim: true },
+      suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      suspendedAt: { type: Date, default: Date.now }
+    }, { _id: false }),
+    default: null,
+    select: false
   }
 }, { timestamps: true });
 
+// Check whether the user's messaging is suspended - needs messagingSuspension selected
+userSchema.methods.isMessagingSuspended = function(now = new Date()) {
+  const suspension = this.messagingSuspension;
+  return Boolean(suspension) && (!suspension.until || suspension.until > now);
+};
+
 userSchema.set('toJSON', {
   transform: (document, returnedObject) => {
     delete returnedObject.hashedPassword;
+    delete returnedObject.calendarFeedTokenHash;
   },
 });
 
@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const Availability = require('./availability');
+const Booking = require('./booking');
+const SlotReservation = require('./slotReservation');
+const Notification = require('./notification');
+const {
+  TIME_REGEX,
+  DEFAULT_TIMEZONE,
+  toMinutes,
+  toDateKey,
+  getStaffSlots
+} = require('../utils/scheduling');
+
+/**
+ * Waitlist Model for PearlConnect
+ *
+ * A customer waiting for a slot on a fully booked provider day. When a booking on that
+ * day is cancelled, the first matching entry is offered the freed slot, which is held
+ * for them for WAITLIST_HOLD_MINUTES.
+ */
+
+const WAITLIST_HOLD_MINUTES = 30;
+
+// How often the server looks for lapsed offers to pass on
+const OFFER_EXPIRY_INTERVAL_MS = 60 * 1000;
+
+const timeWindowSchema = new mongoose.Schema({
+  startTime: {
+    type: String,
+    required: true,
+    validate: {
+      validator: v => TIME_REGEX.test(v),
+      message: 'Start time must be in HH:MM AM/PM format (e.g., "09:30 AM")'
+    }
+  },
+  endTime: {
+    type: String,
+    required: true,
+    validate: {
+      validator: v => TIME_REGEX.test(v),
+      message: 'End time must be in HH:MM AM/PM format (e.g., "05:00 PM")'
+    }
+  },
+}, { _id: false });
+
+// Slot offered to the customer and held until expiresAt
+const offerSchema = new mongoose.Schema({
+  timeSlot: {
+    type: String,
+    required: true,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+  },
+  reservedSlots: [{
+    type: String,
+  }],
+  // Staff member the slot is held with, for providers with staff
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { _id: false });
+
+const waitlistSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  providerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Service",
+    required: true,
+  },
+  date: {
+    type: String,
+    required: true,  // Format: "YYYY-MM-DD" in the provider's timezone
+  },
+  // Optional time windows the customer can make; empty means any time that day
+  preferredWindows: [timeWindowSchema],
+  status: {
+    type: String,
+    enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+    default: "waiting",
+  },
+  offer: {
+    type: offerSchema,
+    default: null,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Booking",
+  },
+},
+  { timestamps: true }
+);
+
+waitlistSchema.index({ providerId: 1, date: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ customerId: 1, createdAt: -1 });
+
+/**
+ * Check whether a slot falls inside one of the customer's preferred windows
+ */
+waitlistSchema.methods.matchesWindows = function(slot) {
+  if (!this.preferredWindows?.length) return true;
+
+  const slotStart = toMinutes(slot.startTime);
+  const slotEnd = slotStart + slot.duration;
+  return this.preferredWindows.some(window =>
+    slotStart >= toMinutes(window.startTime) && slotEnd <= toMinutes(window.endTime)
+  );
+};
+
+/**
+ * Offer free slots on a provider's day to waiting customers, first come first served.
+ * Each offered slot is held for the customer and they are notified.
+ */
+waitlistSchema.statics.offerFreedSlots = async function(providerId, day) {
+  const entries = await this.find({ providerId, date: day, status: 'waiting' })
+    .sort({ createdAt: 1 })
+    .populate('serviceId', 'title duration bufferTime');
+  if (entries.length === 0) return [];
+
+  const availability = await Availability.findOne({ providerId });
+  if (!availability) return [];
+
+  const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+  const bookedTimesByDay = await Booking.getBookedTimesByStaff(providerId, day, day, timeZone);
+  const bookedTimesByStaff = bookedTimesByDay.get(day) || new Map();
+  const offered = [];
+
+  for (const entry of entries) {
+    const service = entry.serviceId;
+    if (!service) continue;
+
+    const serviceOptions = {
+      serviceId: service._id,
+      duration: service.duration,
+      bufferTime: service.bufferTime
+    };
+    let slot = getStaffSlots(availability, day, serviceOptions, { bookedTimesByStaff })
+      .slots.find(s => s.available && entry.matchesWindows(s));
+    if (!slot) continue;
+
+    // Hold the slot with the first free staff member, using the exact slots they would cover
+    const staffId = slot.availableStaff?.[0] || null;
+    if (staffId) {
+      slot = getStaffSlots(availability, day, serviceOptions, { bookedTimesByStaff, staffId })
+        .slots.find(s => s.startsAt.getTime() === slot.startsAt.getTime());
+    }
+
+    const expiresAt = new Date(Date.now() + WAITLIST_HOLD_MINUTES * 60000);
+    try {
+      await SlotReservation.hold({
+        providerId,
+        staffId,
+        day,
+        timeSlots: slot.coveredSlots,
+        waitlistEntryId: entry._id,
+        heldFor: entry.customerId,
+        expiresAt
+      });
+    } catch (err) {
+      if (err.code === 11000) continue;
+      throw err;
+    }
+    const staffKey = staffId ? staffId.toString() : '';
+    bookedTimesByStaff.set(staffKey, [
+      ...(bookedTimesByStaff.get(staffKey) || []),
+      ...slot.coveredSlots,
+      { startsAt: slot.startsAt, endsAt: slot.endsAt }
+    ]);
+
+    entry.status = 'offered';
+    entry.offer = {
+      timeSlot: slot.startTime,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      reservedSlots: slot.coveredSlots,
+      staffId,
+      expiresAt
+    };
+    await entry.save();
+
+    await Notification.create({
+      userId: entry.customerId,
+      type: 'waitlist_offer',
+      title: 'A slot opened up',
+      message: `${service.title} at ${slot.startTime} on ${day} is held for you for the next ${WAITLIST_HOLD_MINUTES} minutes.`,
+      data: {
+        waitlistEntryId: entry._id,
+        providerId,
+        serviceId: service._id,
+        date: day,
+        timeSlot: slot.startTime,
+        expiresAt
+      }
+    });
+
+    offered.push(entry);
+  }
+
+  return offered;
+};
+
+/**
+ * Expire offers whose hold ran out and pass the freed slots on to the next customers
+ */
+waitlistSchema.statics.expireOffers = async function(filter = {}) {
+  const expired = await this.find({
+    ...filter,
+    status: 'offered',
+    'offer.expiresAt': { $lte: new Date() }
+  });
+
+  const days = new Map();
+  for (const entry of expired) {
+    entry.status = 'expired';
+    await entry.save();
+    await SlotReservation.deleteMany({ waitlistEntryId: entry._id });
+    days.set(`${entry.providerId}:${entry.date}`, entry);
+  }
+
+  for (const entry of days.values()) {
+    await this.offerFreedSlots(entry.providerId, entry.date);
+  }
+
+  return expired;
+};
+
+/**
+ * Run expireOffers every intervalMs, so a lapsed hold reaches the next customer even when
+ * nobody reads the slots or the waitlist. Skips a run while the database is disconnected or
+ * the previous run is still going. Returns the timer.
+ */
+waitlistSchema.statics.startOfferExpiry = function(intervalMs = OFFER_EXPIRY_INTERVAL_MS) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await this.expireOffers();
+    } catch (err) {
+      console.error('Waitlist expiry error:', err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Close the customer's waitlist entries for the day of a booking they just made
+ */
+waitlistSchema.statics.markBooked = async function(booking) {
+  const day = toDateKey(booking.date, booking.timezone || DEFAULT_TIMEZONE);
+  const entries = await this.find({
+    customerId: booking.customerId,
+    providerId: booking.providerId,
+    serviceId: booking.serviceId,
+    date: day,
+    status: { $in: ['waiting', 'offered'] }
+  });
+
+  for (const entry of entries) {
+    entry.status = 'booked';
+    entry.bookingId = booking._id;
+    await entry.save();
+    await SlotReservation.deleteMany({ waitlistEntryId: entry._id });
+  }
+
+  return entries;
+};
+
+waitlistSchema.statics.HOLD_MINUTES = WAITLIST_HOLD_MINUTES;
+
+const Waitlist = mongoose.model("Waitlist", waitlistSchema);
+
+module.exports = Waitlist;
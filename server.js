@@ -1,3 +1,4 @@
+const http = require('http');
 const dotenv = require('dotenv');
 const express = require('express');
 const mongoose = require('mongoose');
@@ -7,6 +8,7 @@ const logger = require('morgan');
 dotenv.config();
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 3000;
 
 // Controller imports
@@ -19,9 +21,15 @@ const reviewsCtrl = require('./controllers/reviews');
 const bookingsCtrl = require('./controllers/booking');
 const providersCtrl = require('./controllers/providers');
 const availabilityCtrl = require('./controllers/availability');
+const waitlistCtrl = require('./controllers/waitlist');
+const notificationsCtrl = require('./controllers/notifications');
+const calendarCtrl = require('./controllers/calendar');
+const adminCtrl = require('./controllers/admin');
 
 // Middleware
 const verifyToken = require('./middleware/verify-token');
+const { initRealtime } = require('./utils/realtime');
+const Waitlist = require('./models/waitlist');
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI).catch(err => {
@@ -40,8 +48,11 @@ mongoose.connection.on('disconnected', () => {
   console.log('MongoDB disconnected');
 });
 
+// Pass waitlist offers whose hold ran out on to the next customer
+Waitlist.startOfferExpiry();
+
 // Middleware setup - Production CORS configuration
-app.use(cors({
+const corsOptions = {
   origin: process.env.NODE_ENV === 'production'
     ? function (origin, callback) {
         // Allow requests with no origin (like mobile apps or curl requests)
@@ -64,7 +75,11 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
-}));
+};
+app.use(cors(corsOptions));
+
+// WebSocket channel for live messages, read receipts and typing indicators - same CORS rules and JWT
+initRealtime(server, { cors: corsOptions });
 
 app.use(express.json());
 app.use(logger('dev'));
@@ -92,14 +107,18 @@ app.use('/providers', verifyToken, providersCtrl);
 app.use('/availability', verifyToken, availabilityCtrl);
 app.use('/services', verifyToken, servicesCtrl);
 app.use('/categories', verifyToken, categoriesCtrl);
+app.use('/waitlist', verifyToken, waitlistCtrl);
+app.use('/notifications', verifyToken, notificationsCtrl);
+app.use('/admin', verifyToken, adminCtrl);
+app.use('/calendar', calendarCtrl); // feed URLs authenticate with their own token
 
 // Error handling
 process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
-app.listen(PORT, '0.0.0.0', () => {
+server.listen(PORT, '0.0.0.0', () => {
   console.log(`PearlConnect server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`REST API messaging system active`);
+  console.log(`Real-time messaging active (socket.io)`);
 });
@@ -0,0 +1,112 @@
+/**
+ * Parallel bookings for one slot: the SlotReservation unique index must let exactly one
+ * request win and answer the rest with 409.
+ *
+ * Runs against an in-process MongoDB from mongodb-memory-server (its mongod binary is
+ * downloaded and cached on the first run), or against MONGODB_TEST_URI when that is set -
+ * in a throwaway database that is dropped afterwards.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const User = require('../models/user');
+const Service = require('../models/services');
+const Availability = require('../models/availability');
+const Booking = require('../models/booking');
+const SlotReservation = require('../models/slotReservation');
+const verifyToken = require('../middleware/verify-token');
+const bookingsCtrl = require('../controllers/booking');
+const { toDateKey, addDays, getDayOfWeek } = require('../utils/scheduling');
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const PARALLEL_REQUESTS = 8;
+const TIME_ZONE = 'Asia/Bahrain';
+
+let mongoServer;
+let server;
+let baseUrl;
+
+before(async () => {
+  if (!MONGODB_TEST_URI) mongoServer = await MongoMemoryServer.create();
+
+  await mongoose.connect(MONGODB_TEST_URI || mongoServer.getUri(), { dbName: `pearlconnect_test_${Date.now()}` });
+  // The unique index has to exist before the requests race
+  await SlotReservation.init();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/bookings', verifyToken, bookingsCtrl);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server?.close();
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+  await mongoServer?.stop();
+});
+
+function createUser(role, index) {
+  return User.create({
+    username: `${role}${index}`,
+    email: `${role}${index}@example.com`,
+    hashedPassword: 'not-used',
+    role,
+    profile: { firstName: role, lastName: String(index) }
+  });
+}
+
+test('parallel bookings for one slot: one succeeds, the rest get 409', async () => {
+  const provider = await createUser('provider', 0);
+  const customers = await Promise.all(
+    Array.from({ length: PARALLEL_REQUESTS }, (_, i) => createUser('customer', i + 1))
+  );
+  const service = await Service.create({
+    title: 'Haircut',
+    description: 'Cut and style',
+    price: 10,
+    provider: provider._id,
+    duration: 60
+  });
+
+  const dateKey = addDays(toDateKey(new Date(), TIME_ZONE), 2);
+  await Availability.create({
+    providerId: provider._id,
+    timezone: TIME_ZONE,
+    schedules: [{ dayOfWeek: getDayOfWeek(dateKey), startTime: '9:00 AM', endTime: '5:00 PM', slotDuration: 60 }]
+  });
+
+  const responses = await Promise.all(customers.map(customer =>
+    fetch(`${baseUrl}/bookings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${jwt.sign({ _id: customer._id }, process.env.JWT_SECRET)}`
+      },
+      body: JSON.stringify({
+        serviceId: service._id,
+        customerId: customer._id,
+        providerId: provider._id,
+        date: dateKey,
+        timeSlot: '10:00 AM'
+      })
+    })
+  ));
+
+  const statuses = responses.map(response => response.status).sort();
+  assert.deepEqual(statuses, [201, ...Array(PARALLEL_REQUESTS - 1).fill(409)]);
+
+  const bookings = await Booking.find({ providerId: provider._id, status: { $in: ['pending', 'confirmed'] } });
+  assert.equal(bookings.length, 1);
+  assert.equal(await SlotReservation.countDocuments({ providerId: provider._id }), 1);
+});
@@ -0,0 +1,241 @@
+/**
+ * Edge-case schedules for the scheduling engine (utils/scheduling.js)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  addDays,
+  getDayOfWeek,
+  isTimeRangeOrdered,
+  generateTimeSlots,
+  getDaySchedule,
+  getAvailableSlots,
+  markSlotAvailability,
+  getScheduleConflict,
+  slotDateTime,
+  startOfDay,
+  toDateKey
+} = require('../utils/scheduling');
+
+const DAY = '2030-01-07';
+
+// Availability open every day of the week with the given schedule fields
+function makeAvailability(schedule, { timezone = 'Asia/Bahrain', exceptions = [] } = {}) {
+  return {
+    timezone,
+    schedules: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+      dayOfWeek,
+      isEnabled: true,
+      startTime: '9:00 AM',
+      endTime: '12:00 PM',
+      slotDuration: 30,
+      breakTimes: [],
+      ...schedule
+    })),
+    exceptions
+  };
+}
+
+const startTimes = slots => slots.map(slot => slot.startTime);
+
+describe('generateTimeSlots', () => {
+  it('skips a break at minute precision and resumes when it ends', () => {
+    const slots = generateTimeSlots({
+      startTime: '9:00 AM',
+      endTime: '12:00 PM',
+      slotDuration: 30,
+      breakTimes: [{ startTime: '10:15 AM', endTime: '10:40 AM' }]
+    });
+    assert.deepEqual(startTimes(slots), ['9:00 AM', '9:30 AM', '10:40 AM', '11:10 AM']);
+  });
+
+  it('offers a slot that ends exactly when a break starts', () => {
+    const slots = generateTimeSlots({
+      startTime: '9:00 AM',
+      endTime: '12:00 PM',
+      slotDuration: 30,
+      breakTimes: [{ startTime: '10:30 AM', endTime: '11:00 AM' }]
+    });
+    assert.deepEqual(startTimes(slots), ['9:00 AM', '9:30 AM', '10:00 AM', '11:00 AM', '11:30 AM']);
+  });
+
+  it('lets a one-minute break block the slot it overlaps', () => {
+    const slots = generateTimeSlots({
+      startTime: '9:00 AM',
+      endTime: '11:00 AM',
+      slotDuration: 30,
+      breakTimes: [{ startTime: '9:59 AM', endTime: '10:00 AM' }]
+    });
+    assert.deepEqual(startTimes(slots), ['9:00 AM', '10:00 AM', '10:30 AM']);
+  });
+
+  it('drops a last slot that would run past the end of the day', () => {
+    const slots = generateTimeSlots({ startTime: '9:00 AM', endTime: '10:45 AM', slotDuration: 30 });
+    assert.deepEqual(startTimes(slots), ['9:00 AM', '9:30 AM', '10:00 AM']);
+    assert.equal(slots[slots.length - 1].endTime, '10:30 AM');
+  });
+
+  it('spaces slots by the buffer time', () => {
+    const slots = generateTimeSlots({ startTime: '9:00 AM', endTime: '11:00 AM', slotDuration: 30, bufferTime: 15 });
+    assert.deepEqual(startTimes(slots), ['9:00 AM', '9:45 AM', '10:30 AM']);
+  });
+
+  it('treats 12:00 AM as a closing time of midnight', () => {
+    const slots = generateTimeSlots({ startTime: '10:00 PM', endTime: '12:00 AM', slotDuration: 60 });
+    assert.deepEqual(startTimes(slots), ['10:00 PM', '11:00 PM']);
+    assert.equal(slots[1].endTime, '12:00 AM');
+  });
+
+  it('does not generate overnight schedules that wrap past midnight', () => {
+    assert.equal(isTimeRangeOrdered('10:00 PM', '2:00 AM'), false);
+    assert.deepEqual(generateTimeSlots({ startTime: '10:00 PM', endTime: '2:00 AM', slotDuration: 60 }), []);
+  });
+
+  it('generates nothing for a missing slot duration or unparseable times', () => {
+    assert.deepEqual(generateTimeSlots({ startTime: '9:00 AM', endTime: '5:00 PM', slotDuration: 0 }), []);
+    assert.deepEqual(generateTimeSlots({ startTime: '9am', endTime: '5:00 PM', slotDuration: 30 }), []);
+  });
+});
+
+describe('service-length sizing', () => {
+  it('starts longer services on the base grid and lists the base slots they cover', () => {
+    const { slots } = getAvailableSlots(makeAvailability({ endTime: '11:00 AM' }), DAY, { duration: 45 });
+    assert.deepEqual(startTimes(slots), ['9:00 AM', '9:30 AM', '10:00 AM']);
+    assert.deepEqual(slots[0].coveredSlots, ['9:00 AM', '9:30 AM']);
+    assert.equal(slots[0].endTime, '9:45 AM');
+  });
+
+  it('does not let a service run into a break or past closing', () => {
+    const availability = makeAvailability({
+      endTime: '2:00 PM',
+      breakTimes: [{ startTime: '12:00 PM', endTime: '1:00 PM' }]
+    });
+    const { slots } = getAvailableSlots(availability, DAY, { duration: 90 });
+    assert.deepEqual(startTimes(slots), ['9:00 AM', '9:30 AM', '10:00 AM', '10:30 AM']);
+  });
+
+  it('holds the base slots covered by the service buffer', () => {
+    const { slots } = getAvailableSlots(makeAvailability({}), DAY, { duration: 30, bufferTime: 15 });
+    assert.deepEqual(slots[0].coveredSlots, ['9:00 AM', '9:30 AM']);
+    assert.equal(slots[0].duration, 30);
+  });
+
+  it("falls back to the day's slot duration without a service duration", () => {
+    const { slots } = getAvailableSlots(makeAvailability({}), DAY);
+    assert.equal(slots.length, 6);
+    assert.ok(slots.every(slot => slot.endsAt - slot.startsAt === 30 * 60000));
+  });
+});
+
+describe('exceptions', () => {
+  it('closes the day for an unavailable exception', () => {
+    const availability = makeAvailability({}, {
+      exceptions: [{ date: startOfDay(DAY, 'Asia/Bahrain'), isAvailable: false, reason: 'Public holiday' }]
+    });
+    const day = getDaySchedule(availability, DAY);
+    assert.equal(day.isOpen, false);
+    assert.equal(day.reason, 'Public holiday');
+    assert.deepEqual(getAvailableSlots(availability, DAY).slots, []);
+  });
+
+  it('uses custom hours from an available exception', () => {
+    const availability = makeAvailability({}, {
+      exceptions: [{ date: startOfDay(DAY, 'Asia/Bahrain'), isAvailable: true, customStartTime: '10:00 AM', customEndTime: '11:00 AM' }]
+    });
+    assert.deepEqual(startTimes(getAvailableSlots(availability, DAY).slots), ['10:00 AM', '10:30 AM']);
+  });
+
+  it("matches exception dates by the provider's calendar day, not the UTC day", () => {
+    // Start of 2026-12-16 in Bahrain is still 2026-12-15 in UTC
+    const date = startOfDay('2026-12-16', 'Asia/Bahrain');
+    assert.equal(date.toISOString(), '2026-12-15T21:00:00.000Z');
+
+    const availability = makeAvailability({}, { exceptions: [{ date, isAvailable: false }] });
+    assert.equal(getDaySchedule(availability, '2026-12-16').isOpen, false);
+    assert.equal(getDaySchedule(availability, '2026-12-15').isOpen, true);
+  });
+
+  it('closes weekdays without an enabled schedule', () => {
+    const availability = makeAvailability({});
+    availability.schedules = availability.schedules.filter(s => s.dayOfWeek !== getDayOfWeek(DAY));
+    assert.equal(getDaySchedule(availability, DAY).isOpen, false);
+  });
+});
+
+describe('DST transitions', () => {
+  const timeZone = 'America/New_York';
+  const nightShift = makeAvailability({ startTime: '12:00 AM', endTime: '4:00 AM', slotDuration: 60 }, { timezone: timeZone });
+
+  it('resolves wall-clock times with the offset in effect on each day', () => {
+    assert.equal(slotDateTime('2026-03-07', '9:00 AM', timeZone).toISOString(), '2026-03-07T14:00:00.000Z');
+    assert.equal(slotDateTime('2026-03-08', '9:00 AM', timeZone).toISOString(), '2026-03-08T13:00:00.000Z');
+    assert.equal(slotDateTime('2026-11-01', '9:00 AM', timeZone).toISOString(), '2026-11-01T14:00:00.000Z');
+  });
+
+  it('keeps day keys and the start of day stable across the change', () => {
+    for (const day of ['2026-03-08', '2026-11-01']) {
+      assert.equal(toDateKey(startOfDay(day, timeZone), timeZone), day);
+      assert.equal(toDateKey(startOfDay(addDays(day, 1), timeZone), timeZone), addDays(day, 1));
+    }
+  });
+
+  it('does not offer a start time skipped when clocks spring forward', () => {
+    const { slots } = getAvailableSlots(nightShift, '2026-03-08');
+    assert.deepEqual(startTimes(slots), ['12:00 AM', '1:00 AM', '3:00 AM']);
+    assert.equal(new Set(slots.map(slot => slot.startsAt.getTime())).size, slots.length);
+  });
+
+  it('gives slots in the repeated hour distinct, ordered instants when clocks fall back', () => {
+    const { slots } = getAvailableSlots(nightShift, '2026-11-01');
+    assert.deepEqual(startTimes(slots), ['12:00 AM', '1:00 AM', '2:00 AM', '3:00 AM']);
+    assert.equal(slots[1].startsAt.toISOString(), '2026-11-01T05:00:00.000Z');
+    assert.equal(slots[2].startsAt.toISOString(), '2026-11-01T07:00:00.000Z');
+    for (let i = 1; i < slots.length; i++) {
+      assert.ok(slots[i].startsAt >= slots[i - 1].endsAt);
+    }
+  });
+});
+
+describe('markSlotAvailability', () => {
+  const now = new Date('2030-01-01T00:00:00Z');
+  const { slots } = getAvailableSlots(makeAvailability({}), DAY, { duration: 45 });
+  const byStart = marked => Object.fromEntries(marked.map(slot => [slot.startTime, slot.unavailableReason || 'free']));
+
+  it('marks slots covering a held base slot as booked', () => {
+    const marked = markSlotAvailability(slots, DAY, { bookedTimes: ['10:00 AM'], now });
+    assert.equal(byStart(marked)['9:30 AM'], 'booked');
+    assert.equal(byStart(marked)['10:00 AM'], 'booked');
+    assert.equal(byStart(marked)['9:00 AM'], 'free');
+  });
+
+  it('marks slots overlapping a booked range from an earlier slot grid as booked', () => {
+    // A 60-minute booking at 10:00 held "10:00 AM" on a 60-minute grid; the grid is now 30 minutes
+    const startsAt = slotDateTime(DAY, '10:00 AM', 'Asia/Bahrain');
+    const marked = markSlotAvailability(slots, DAY, {
+      bookedTimes: ['10:00 AM', { startsAt, endsAt: new Date(startsAt.getTime() + 60 * 60000) }],
+      now
+    });
+    assert.equal(byStart(marked)['10:30 AM'], 'booked');
+    assert.equal(byStart(marked)['11:00 AM'], 'free');
+  });
+
+  it('marks started slots as past', () => {
+    const marked = markSlotAvailability(slots, DAY, { now: slotDateTime(DAY, '10:00 AM', 'Asia/Bahrain') });
+    assert.equal(byStart(marked)['10:00 AM'], 'past');
+    assert.equal(byStart(marked)['10:30 AM'], 'free');
+  });
+
+  it('marks days beyond the advance booking window', () => {
+    const marked = markSlotAvailability(slots, DAY, { advanceBookingDays: 2, now });
+    assert.ok(marked.every(slot => slot.unavailableReason === 'outside_booking_window'));
+  });
+});
+
+describe('getScheduleConflict', () => {
+  it('flags bookings that no longer start on the slot grid', () => {
+    const availability = makeAvailability({ slotDuration: 60 });
+    assert.equal(getScheduleConflict(availability, DAY, '10:00 AM', { duration: 60 }), null);
+    assert.equal(getScheduleConflict(availability, DAY, '10:30 AM', { duration: 60 }), 'Outside the working hours for this day');
+  });
+});
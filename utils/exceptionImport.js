@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Availability exception imports for PearlConnect
+ *
+ * Turns iCalendar events or a holiday list into Availability exception entries and plans how
+ * they combine with the exceptions a provider already has. Entries use "YYYY-MM-DD" day keys
+ * in the provider's timezone; callers convert them to stored dates with startOfDay.
+ */
+
+const {
+  toDateKey,
+  toZonedMinutes,
+  formatMinutes,
+  addDays
+} = require('./scheduling');
+
+const IMPORT_MODES = ['skip', 'merge'];
+
+// Longest all-day event expanded into per-day exceptions
+const MAX_EVENT_DAYS = 366;
+
+const MAX_REASON_LENGTH = 100;
+
+function toReason(summary, fallback) {
+  return (summary || fallback).slice(0, MAX_REASON_LENGTH);
+}
+
+/**
+ * Convert parsed iCalendar events into exception entries.
+ * All-day events close every day they cover; timed events within a single day
+ * become custom start and end times for that day.
+ * Returns { entries, skipped } where skipped lists events that could not be imported.
+ */
+function eventsToExceptions(events, timeZone) {
+  const entries = [];
+  const skipped = [];
+
+  for (const event of events) {
+    const label = event.summary || event.uid || 'Untitled event';
+
+    if (event.status === 'CANCELLED') {
+      skipped.push({ event: label, reason: 'Event is cancelled' });
+      continue;
+    }
+    if (event.recurring) {
+      skipped.push({ event: label, reason: 'Recurring events are not supported' });
+      continue;
+    }
+    if (!event.start) {
+      skipped.push({ event: label, reason: 'Event has no valid start date' });
+      continue;
+    }
+
+    if (event.start.allDay) {
+      // DTEND is exclusive for all-day events; a missing end means a single day
+      const endKey = event.end?.allDay ? event.end.dateKey : addDays(event.start.dateKey, 1);
+      const days = [];
+      for (let dateKey = event.start.dateKey; dateKey < endKey; dateKey = addDays(dateKey, 1)) {
+        days.push(dateKey);
+        if (days.length > MAX_EVENT_DAYS) break;
+      }
+      if (days.length === 0 || days.length > MAX_EVENT_DAYS) {
+        skipped.push({ event: label, reason: `All-day events must cover 1 to ${MAX_EVENT_DAYS} days` });
+        continue;
+      }
+
+      for (const dateKey of days) {
+        entries.push({ date: dateKey, isAvailable: false, reason: toReason(event.summary, 'Unavailable') });
+      }
+      continue;
+    }
+
+    if (!event.end || event.end.allDay || event.end.instant <= event.start.instant) {
+      skipped.push({ event: label, reason: 'Timed events need an end time after their start' });
+      continue;
+    }
+
+    const dateKey = toDateKey(event.start.instant, timeZone);
+    const endKey = toDateKey(event.end.instant, timeZone);
+    const endMinutes = toZonedMinutes(event.end.instant, timeZone);
+    // Ending exactly at midnight still keeps the event on its start day
+    if (endKey !== dateKey && !(endKey === addDays(dateKey, 1) && endMinutes === 0)) {
+      skipped.push({ event: label, reason: 'Timed events spanning several days are not supported' });
+      continue;
+    }
+
+    entries.push({
+      date: dateKey,
+      isAvailable: true,
+      customStartTime: formatMinutes(toZonedMinutes(event.start.instant, timeZone)),
+      customEndTime: formatMinutes(endMinutes),
+      reason: toReason(event.summary, 'Custom hours')
+    });
+  }
+
+  return { entries, skipped };
+}
+
+/**
+ * Convert a holiday list ([{ date, name }]) into closed-day exception entries
+ */
+function holidaysToExceptions(holidays) {
+  return holidays.map(holiday => ({
+    date: holiday.date,
+    isAvailable: false,
+    reason: toReason(holiday.name, 'Holiday')
+  }));
+}
+
+/**
+ * Plan an import against the provider's existing exceptions.
+ * mode "skip" keeps an existing exception for a date; "merge" replaces it with the imported one.
+ * Past dates and repeated dates within the import are skipped.
+ * Returns { toAdd, toMerge: [{ date, existing, incoming }], skipped }.
+ */
+function planExceptionImport(availability, entries, { mode = 'skip', timeZone, todayKey }) {
+  const existingByDate = new Map();
+  for (const exception of availability.exceptions || []) {
+    existingByDate.set(toDateKey(exception.date, timeZone), exception);
+  }
+
+  const toAdd = [];
+  const toMerge = [];
+  const skipped = [];
+  const seen = new Set();
+
+  for (const entry of entries) {
+    if (entry.date < todayKey) {
+      skipped.push({ date: entry.date, reason: 'Date is in the past' });
+      continue;
+    }
+    if (seen.has(entry.date)) {
+      skipped.push({ date: entry.date, reason: 'Date appears more than once in the import' });
+      continue;
+    }
+    seen.add(entry.date);
+
+    const existing = existingByDate.get(entry.date);
+    if (!existing) {
+      toAdd.push(entry);
+    } else if (mode === 'merge') {
+      toMerge.push({ date: entry.date, existing, incoming: entry });
+    } else {
+      skipped.push({ date: entry.date, reason: 'An exception already exists for this date' });
+    }
+  }
+
+  return { toAdd, toMerge, skipped };
+}
+
+module.exports = {
+  IMPORT_MODES,
+  eventsToExceptions,
+  holidaysToExceptions,
+  planExceptionImport
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Built-in Bahrain public holiday list for availability imports
+ *
+ * Fixed-date holidays are the same every year. Islamic holidays follow the Hijri calendar and
+ * are listed per year from the expected dates - the official dates depend on moon sighting and
+ * may move by a day, so they are marked as estimated.
+ */
+
+// Holidays on the same Gregorian date every year (MM-DD)
+const FIXED_HOLIDAYS = [
+  { day: '01-01', name: "New Year's Day" },
+  { day: '05-01', name: 'Labour Day' },
+  { day: '12-16', name: 'National Day' },
+  { day: '12-17', name: 'National Day' }
+];
+
+// Expected Islamic holiday dates by Gregorian year
+const ISLAMIC_HOLIDAYS = {
+  2025: [
+    { date: '2025-03-30', name: 'Eid al-Fitr' },
+    { date: '2025-03-31', name: 'Eid al-Fitr' },
+    { date: '2025-04-01', name: 'Eid al-Fitr' },
+    { date: '2025-06-05', name: 'Arafat Day' },
+    { date: '2025-06-06', name: 'Eid al-Adha' },
+    { date: '2025-06-07', name: 'Eid al-Adha' },
+    { date: '2025-06-08', name: 'Eid al-Adha' },
+    { date: '2025-06-26', name: 'Islamic New Year' },
+    { date: '2025-07-04', name: 'Ashura' },
+    { date: '2025-07-05', name: 'Ashura' },
+    { date: '2025-09-04', name: "Prophet's Birthday" }
+  ],
+  2026: [
+    { date: '2026-03-20', name: 'Eid al-Fitr' },
+    { date: '2026-03-21', name: 'Eid al-Fitr' },
+    { date: '2026-03-22', name: 'Eid al-Fitr' },
+    { date: '2026-05-26', name: 'Arafat Day' },
+    { date: '2026-05-27', name: 'Eid al-Adha' },
+    { date: '2026-05-28', name: 'Eid al-Adha' },
+    { date: '2026-05-29', name: 'Eid al-Adha' },
+    { date: '2026-06-16', name: 'Islamic New Year' },
+    { date: '2026-06-24', name: 'Ashura' },
+    { date: '2026-06-25', name: 'Ashura' },
+    { date: '2026-08-25', name: "Prophet's Birthday" }
+  ],
+  2027: [
+    { date: '2027-03-09', name: 'Eid al-Fitr' },
+    { date: '2027-03-10', name: 'Eid al-Fitr' },
+    { date: '2027-03-11', name: 'Eid al-Fitr' },
+    { date: '2027-05-15', name: 'Arafat Day' },
+    { date: '2027-05-16', name: 'Eid al-Adha' },
+    { date: '2027-05-17', name: 'Eid al-Adha' },
+    { date: '2027-05-18', name: 'Eid al-Adha' },
+    { date: '2027-06-06', name: 'Islamic New Year' },
+    { date: '2027-06-14', name: 'Ashura' },
+    { date: '2027-06-15', name: 'Ashura' },
+    { date: '2027-08-14', name: "Prophet's Birthday" }
+  ]
+};
+
+const SUPPORTED_HOLIDAY_YEARS = Object.keys(ISLAMIC_HOLIDAYS).map(Number);
+
+/**
+ * Bahrain public holidays for a year as [{ date, name, estimated }], sorted by date.
+ * Returns null for years without a holiday list.
+ */
+function getBahrainHolidays(year) {
+  const islamic = ISLAMIC_HOLIDAYS[year];
+  if (!islamic) return null;
+
+  return [
+    ...FIXED_HOLIDAYS.map(h => ({ date: `${year}-${h.day}`, name: h.name, estimated: false })),
+    ...islamic.map(h => ({ ...h, estimated: true }))
+  ].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  SUPPORTED_HOLIDAY_YEARS,
+  getBahrainHolidays
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) rendering and parsing for PearlConnect
+ *
+ * Bookings are written as VEVENTs with UTC start and end times, so calendar apps place them
+ * correctly whatever their own timezone. UIDs are derived from the booking id and stay the
+ * same across feed refreshes, which lets subscribed calendars update events in place.
+ *
+ * Parsing covers what availability imports need: VEVENT start/end, summary, status and
+ * whether the event recurs.
+ */
+
+const {
+  DEFAULT_TIMEZONE,
+  toDateKey,
+  isValidTimezone,
+  zonedTimeToUtc,
+  slotDateTime
+} = require('./scheduling');
+
+const PRODUCT_ID = '-//PearlConnect//Bookings//EN';
+const UID_DOMAIN = 'pearlconnect';
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Escape TEXT values - backslash, semicolon, comma and newlines (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Format an instant as a UTC DATE-TIME, e.g. 20250101T093000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1) without splitting multi-byte characters
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const maxBytes = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > maxBytes) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+// Display name for a populated user, falling back to their username
+function displayName(user) {
+  if (!user) return '';
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ');
+  return fullName || user.username || '';
+}
+
+/**
+ * Start and end instants of a booking, from its timeSlot on its calendar day plus its duration
+ */
+function getBookingTimes(booking) {
+  const timeZone = booking.timezone || DEFAULT_TIMEZONE;
+  const dateKey = toDateKey(booking.date, timeZone);
+  const start = slotDateTime(dateKey, booking.timeSlot, timeZone) || new Date(booking.date);
+  const duration = booking.duration || booking.serviceId?.duration || DEFAULT_DURATION_MINUTES;
+
+  return { start, end: new Date(start.getTime() + duration * 60000) };
+}
+
+/**
+ * Build the VEVENT lines for a booking with populated serviceId, customerId and providerId.
+ * The summary names the other party from the viewer's side of the booking.
+ */
+function bookingToEvent(booking, viewerRole) {
+  const { start, end } = getBookingTimes(booking);
+  const serviceTitle = booking.serviceId?.title || 'Booking';
+  const otherParty = viewerRole === 'customer'
+    ? displayName(booking.providerId)
+    : displayName(booking.customerId);
+
+  const descriptionLines = [
+    `Service: ${serviceTitle}`,
+    `Customer: ${displayName(booking.customerId)}`,
+    `Provider: ${displayName(booking.providerId)}`,
+    `Status: ${booking.status}`
+  ];
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(booking.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(otherParty ? `${serviceTitle} - ${otherParty}` : serviceTitle)}`,
+    `DESCRIPTION:${escapeText(descriptionLines.join('\n'))}`,
+    `STATUS:${booking.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Render a VCALENDAR document for the given bookings
+ */
+function renderCalendar(bookings, { name = 'PearlConnect Bookings', viewerRole } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...bookings.flatMap(booking => bookingToEvent(booking, viewerRole)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Unescape a TEXT value
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split a content line into its name, parameters and value, e.g. DTSTART;TZID=Asia/Bahrain:20250101T090000
+function parseContentLine(line) {
+  const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, value = ''] = part.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value. All-day values return { allDay: true, dateKey };
+ * timed values return { allDay: false, instant }. Floating times and unknown TZIDs are
+ * read in fallbackTimeZone. Returns null for unparseable values.
+ */
+function parseDateValue(value, params, fallbackTimeZone) {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const dateKey = `${year}-${month}-${day}`;
+
+  if (params.VALUE === 'DATE' || hours === undefined) {
+    return { allDay: true, dateKey };
+  }
+
+  if (utc) {
+    return { allDay: false, instant: new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)) };
+  }
+
+  const timeZone = isValidTimezone(params.TZID) ? params.TZID : fallbackTimeZone;
+  const instant = zonedTimeToUtc(dateKey, parseInt(hours) * 60 + parseInt(minutes), timeZone);
+  return { allDay: false, instant: new Date(instant.getTime() + parseInt(seconds) * 1000) };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar document.
+ * Returns [{ uid, summary, status, recurring, start, end }] where start and end are
+ * parsed date values (end may be null).
+ */
+function parseCalendar(text, { timeZone = DEFAULT_TIMEZONE } = {}) {
+  // Unfold continuation lines (RFC 5545 3.1) before reading properties
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      event = { uid: null, summary: '', status: null, recurring: false, start: null, end: null };
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (event) events.push(event);
+      event = null;
+    } else if (event) {
+      switch (property.name) {
+        case 'UID':
+          event.uid = property.value;
+          break;
+        case 'SUMMARY':
+          event.summary = unescapeText(property.value).trim();
+          break;
+        case 'STATUS':
+          event.status = property.value.toUpperCase();
+          break;
+        case 'RRULE':
+        case 'RDATE':
+          event.recurring = true;
+          break;
+        case 'DTSTART':
+          event.start = parseDateValue(property.value, property.params, timeZone);
+          break;
+        case 'DTEND':
+          event.end = parseDateValue(property.value, property.params, timeZone);
+          break;
+      }
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  getBookingTimes,
+  bookingToEvent,
+  renderCalendar,
+  parseDateValue,
+  parseCalendar
+};
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Real-time messaging channel for PearlConnect
+ *
+ * A socket.io server attached to the Express HTTP server. Clients connect with the same JWT
+ * as the REST API (handshake auth.token or an Authorization: Bearer header) and join a room
+ * for their own user id, so every open tab receives their events.
+ *
+ * Server events:
+ *   message:new   - a message was sent to or by the user (populated like POST /message)
+ *   message:updated - an edited message
+ *   message:deleted - { messageId, deletedAt } when the sender deletes a message for everyone
+ *   message:hidden  - { messageId } when the user deletes a message for themselves (their other tabs)
+ *   message:read  - { readerId, messageIds, readAt } when the receiver reads messages
+ *   unread:count  - { unreadCount } after the user's unread total changes
+ *   typing        - { userId, isTyping } from a conversation partner
+ *
+ * Client events:
+ *   typing:start, typing:stop - { receiverId }
+ *
+ * Messages are still created through REST, which emits the events above.
+ */
+
+const mongoose = require('mongoose');
+const { Server } = require('socket.io');
+const { authenticateToken } = require('../middleware/verify-token');
+const Block = require('../models/block');
+
+let io = null;
+
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+// Read the JWT from the handshake, as sent by the socket.io client or a plain WebSocket header
+function getHandshakeToken(handshake) {
+  if (handshake.auth?.token) return handshake.auth.token;
+  const authHeader = handshake.headers.authorization;
+  return authHeader ? authHeader.split(' ')[1] : null;
+}
+
+/**
+ * Attach the socket.io server to an HTTP server. cors takes the same options as the cors middleware.
+ */
+function initRealtime(server, { cors } = {}) {
+  io = new Server(server, { cors });
+
+  io.use(async (socket, next) => {
+    try {
+      const user = await authenticateToken(getHandshakeToken(socket.handshake));
+      if (!user) return next(new Error('User not found'));
+      socket.data.user = user;
+      next();
+    } catch (err) {
+      next(new Error('Invalid token'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    socket.join(userRoom(user._id));
+
+    const sendTyping = (isTyping) => async ({ receiverId } = {}) => {
+      if (!mongoose.isValidObjectId(receiverId) || receiverId.toString() === user._id.toString()) return;
+      try {
+        // Blocked users see no activity from each other
+        if (await Block.findBetween(user._id, receiverId)) return;
+        socket.to(userRoom(receiverId)).emit('typing', { userId: user._id, isTyping });
+      } catch (err) {
+        console.error('Typing event error:', err);
+      }
+    };
+    socket.on('typing:start', sendTyping(true));
+    socket.on('typing:stop', sendTyping(false));
+  });
+
+  return io;
+}
+
+/**
+ * Emit an event to every connection of the given users. Does nothing before initRealtime,
+ * so REST routes work the same without a socket server (e.g. in scripts).
+ */
+function emitToUsers(userIds, event, payload) {
+  if (!io) return;
+  const rooms = [...new Set(userIds.filter(Boolean).map(id => userRoom(id._id || id)))];
+  if (rooms.length > 0) io.to(rooms).emit(event, payload);
+}
+
+module.exports = {
+  initRealtime,
+  emitToUsers
+};
@@ -0,0 +1,498 @@
+/**
+ * @fileoverview Scheduling engine for PearlConnect
+ *
+ * Single source of truth for turning a provider's Availability document into bookable
+ * time slots. Both the availability slots route and booking creation use these helpers,
+ * so a slot that is offered to a customer is always a slot that can be booked.
+ *
+ * Times are handled as minutes since midnight to keep break and end-bound checks exact.
+ * Calendar dates are "YYYY-MM-DD" keys in the provider's IANA timezone (Availability.timezone),
+ * and are only converted to absolute instants when a slot needs a real start time.
+ */
+
+const TIME_REGEX = /^(0?[1-9]|1[0-2]):([0-5]\d)\s?(AM|PM)$/i;
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const DEFAULT_TIMEZONE = 'Asia/Bahrain';
+
+// Parse a 12-hour time string (e.g., "09:30 AM") into hours and minutes
+function parseTimeString(timeStr) {
+  const match = typeof timeStr === 'string' && timeStr.trim().match(TIME_REGEX);
+  if (!match) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  const period = match[3].toUpperCase();
+
+  if (period === 'PM' && hours !== 12) hours += 12;
+  if (period === 'AM' && hours === 12) hours = 0;
+
+  return { hours, minutes };
+}
+
+// Convert a 12-hour time string to minutes since midnight
+function toMinutes(timeStr) {
+  const time = parseTimeString(timeStr);
+  if (!time) return null;
+  return time.hours * 60 + time.minutes;
+}
+
+// Check that a start time comes before an end time ("12:00 AM" as an end time means midnight)
+function isTimeRangeOrdered(startTime, endTime) {
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+  if (start === null || end === null) return false;
+  return start < (end === 0 ? MINUTES_PER_DAY : end);
+}
+
+// Convert minutes since midnight back to a 12-hour time string (e.g., "9:30 AM")
+function formatMinutes(totalMinutes) {
+  const minutesOfDay = ((totalMinutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(minutesOfDay / 60);
+  const minutes = (minutesOfDay % 60).toString().padStart(2, '0');
+  const period = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours === 0 ? 12 : hours > 12 ? hours - 12 : hours;
+
+  return `${displayHours}:${minutes} ${period}`;
+}
+
+// Wall-clock parts of an instant in a timezone
+function getZonedParts(instant, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+  return parts;
+}
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+function getTimezoneOffset(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+}
+
+// Check that a string is an IANA timezone name the runtime understands
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string' && timeZone.length > 0;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Calendar day key (YYYY-MM-DD) of an instant in the given timezone
+function toDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// Wall-clock minutes since midnight of an instant in the given timezone
+function toZonedMinutes(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = getZonedParts(date, timeZone);
+  return p.hour * 60 + p.minute;
+}
+
+/**
+ * Resolve a request date to a calendar day key in the provider's timezone.
+ * "YYYY-MM-DD" strings are taken as that calendar day; anything else is parsed
+ * as an instant. Returns null for unparseable input.
+ */
+function resolveDateKey(input, timeZone = DEFAULT_TIMEZONE) {
+  if (typeof input === 'string' && DATE_KEY_REGEX.test(input.trim())) {
+    const key = input.trim();
+    return isNaN(new Date(`${key}T00:00:00Z`).getTime()) ? null : key;
+  }
+
+  const instant = new Date(input);
+  if (input === undefined || input === null || isNaN(instant.getTime())) return null;
+  return toDateKey(instant, timeZone);
+}
+
+// Shift a day key by a number of calendar days
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Day of week for a day key (0 = Sunday, 6 = Saturday), independent of the server timezone
+function getDayOfWeek(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+// Absolute instant of a wall-clock time (minutes since midnight) on a day in a timezone
+function zonedTimeToUtc(dateKey, minutes, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // Apply the offset, then re-check it at the result in case a DST change lies in between
+  let instant = wallClock - getTimezoneOffset(wallClock, timeZone);
+  const offsetAtInstant = getTimezoneOffset(instant, timeZone);
+  instant = wallClock - offsetAtInstant;
+
+  return new Date(instant);
+}
+
+// Absolute start time of a slot on the given day
+function slotDateTime(dateKey, timeStr, timeZone = DEFAULT_TIMEZONE) {
+  return zonedTimeToUtc(dateKey, toMinutes(timeStr), timeZone);
+}
+
+// Start of a calendar day in the timezone, used to store exception dates consistently
+function startOfDay(dateKey, timeZone = DEFAULT_TIMEZONE) {
+  return zonedTimeToUtc(dateKey, 0, timeZone);
+}
+
+/**
+ * Resolve the working hours for a day key: the weekly schedule for that weekday,
+ * adjusted by any date-specific exception. Exception dates are read in the
+ * provider's timezone.
+ *
+ * Returns { isOpen: false, reason } when the provider does not work that day.
+ */
+function getDaySchedule(availability, dateKey) {
+  const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+  const dayOfWeek = getDayOfWeek(dateKey);
+
+  const schedule = availability.schedules.find(s => s.dayOfWeek === dayOfWeek && s.isEnabled);
+  if (!schedule) {
+    return { isOpen: false, reason: 'No available slots for this day' };
+  }
+
+  const exception = (availability.exceptions || []).find(e => toDateKey(e.date, timeZone) === dateKey);
+
+  if (exception && !exception.isAvailable) {
+    return {
+      isOpen: false,
+      reason: exception.reason || 'Unavailable due to exception',
+      exception
+    };
+  }
+
+  return {
+    isOpen: true,
+    schedule,
+    exception,
+    startTime: exception?.customStartTime || schedule.startTime,
+    endTime: exception?.customEndTime || schedule.endTime,
+    slotDuration: schedule.slotDuration,
+    bufferTime: schedule.bufferTime || 0,
+    breakTimes: schedule.breakTimes || []
+  };
+}
+
+// Working hours and breaks of a day in minutes since midnight
+function getWorkingWindow({ startTime, endTime, breakTimes = [] }) {
+  const start = toMinutes(startTime);
+  let end = toMinutes(endTime);
+  if (start === null || end === null) return null;
+
+  // "12:00 AM" as a closing time means midnight at the end of the day
+  if (end === 0) end = MINUTES_PER_DAY;
+
+  const breaks = breakTimes
+    .map(b => ({ start: toMinutes(b.startTime), end: toMinutes(b.endTime) }))
+    .filter(b => b.start !== null && b.end !== null && b.start < b.end)
+    .sort((a, b) => a.start - b.start);
+
+  return { start, end, breaks };
+}
+
+/**
+ * Size the day's base slots for a service.
+ *
+ * Service slots start on the base slot grid and last `duration` minutes, so one booking
+ * may span several base slots. Each slot lists the base slots it covers (coveredSlots),
+ * including any trailing service buffer; those are the slots a booking reserves.
+ */
+function sizeSlotsForService(baseSlots, day, { duration, bufferTime = 0 } = {}) {
+  const window = getWorkingWindow(day);
+  if (!window) return [];
+
+  const length = duration || day.slotDuration;
+  const base = baseSlots.map(slot => ({
+    startTime: slot.startTime,
+    start: toMinutes(slot.startTime),
+    end: toMinutes(slot.startTime) + day.slotDuration
+  }));
+
+  const slots = [];
+  for (const slot of base) {
+    const slotEnd = slot.start + length;
+    if (slotEnd > window.end) continue;
+    if (window.breaks.some(b => slot.start < b.end && slotEnd > b.start)) continue;
+
+    const holdUntil = slotEnd + (bufferTime || 0);
+    slots.push({
+      startTime: slot.startTime,
+      endTime: formatMinutes(slotEnd),
+      duration: length,
+      available: true,
+      coveredSlots: base
+        .filter(b => b.start < holdUntil && b.end > slot.start)
+        .map(b => b.startTime)
+    });
+  }
+
+  return slots;
+}
+
+/**
+ * Generate slots between startTime and endTime.
+ *
+ * A slot is only offered when it ends on or before endTime and does not overlap any
+ * break. When a slot would run into a break, generation resumes at the end of that break.
+ */
+function generateTimeSlots({ startTime, endTime, slotDuration, bufferTime = 0, breakTimes = [] }) {
+  const window = getWorkingWindow({ startTime, endTime, breakTimes });
+  if (!window || !(slotDuration > 0)) return [];
+
+  const { start, end, breaks } = window;
+  const slots = [];
+  let current = start;
+
+  while (current + slotDuration <= end) {
+    const slotEnd = current + slotDuration;
+    const overlappingBreak = breaks.find(b => current < b.end && slotEnd > b.start);
+
+    if (overlappingBreak) {
+      current = overlappingBreak.end;
+      continue;
+    }
+
+    slots.push({
+      startTime: formatMinutes(current),
+      endTime: formatMinutes(slotEnd),
+      available: true
+    });
+
+    current = slotEnd + bufferTime;
+  }
+
+  return slots;
+}
+
+/**
+ * Mark generated slots unavailable when they are already booked, already started,
+ * or fall beyond the provider's advance booking window (counted in calendar days
+ * in the provider's timezone).
+ *
+ * bookedTimes lists the base slot start times ("HH:MM AM/PM") held by active bookings, and
+ * may also hold their { startsAt, endsAt } time ranges. A slot counts as booked when any base
+ * slot it covers is held, or when its own time range overlaps a booked range - base slot
+ * times only line up while the slot grid stays the same, and a slotDuration or working hours
+ * change moves it under existing bookings.
+ * Unavailable slots get an unavailableReason of 'booked', 'past' or 'outside_booking_window'.
+ */
+function markSlotAvailability(slots, dateKey, {
+  bookedTimes = [],
+  advanceBookingDays,
+  timeZone = DEFAULT_TIMEZONE,
+  now = new Date()
+} = {}) {
+  const booked = new Set(bookedTimes.filter(time => typeof time === 'string').map(toMinutes));
+  const bookedRanges = bookedTimes.filter(time => time && typeof time === 'object');
+
+  let lastBookableDay = null;
+  if (advanceBookingDays !== undefined && advanceBookingDays !== null) {
+    lastBookableDay = addDays(toDateKey(now, timeZone), advanceBookingDays);
+  }
+  const outsideWindow = lastBookableDay !== null && dateKey > lastBookableDay;
+
+  return slots.map(slot => {
+    let unavailableReason = null;
+    const startsAt = slot.startsAt || slotDateTime(dateKey, slot.startTime, timeZone);
+    const endsAt = slot.endsAt || new Date(startsAt.getTime() + (slot.duration || 0) * 60000);
+
+    if ((slot.coveredSlots || [slot.startTime]).some(time => booked.has(toMinutes(time))) ||
+        bookedRanges.some(range => startsAt < range.endsAt && endsAt > range.startsAt)) {
+      unavailableReason = 'booked';
+    } else if (startsAt <= now) {
+      unavailableReason = 'past';
+    } else if (outsideWindow) {
+      unavailableReason = 'outside_booking_window';
+    }
+
+    if (!unavailableReason) return slot;
+    return { ...slot, available: false, unavailableReason };
+  });
+}
+
+/**
+ * Available slots for a provider on a day key, based on their Availability document.
+ * Each slot carries local-time labels plus its absolute startsAt/endsAt instants.
+ *
+ * Pass a service's duration and bufferTime to size slots for that service; otherwise
+ * slots use the day's slotDuration.
+ */
+function getAvailableSlots(availability, dateKey, service = {}) {
+  const timeZone = availability.timezone || DEFAULT_TIMEZONE;
+  const day = getDaySchedule(availability, dateKey);
+  if (!day.isOpen) {
+    return { slots: [], day };
+  }
+
+  const slots = sizeSlotsForService(generateTimeSlots(day), day, service)
+    .map(slot => {
+      const startsAt = slotDateTime(dateKey, slot.startTime, timeZone);
+      return {
+        ...slot,
+        startsAt,
+        endsAt: new Date(startsAt.getTime() + slot.duration * 60000)
+      };
+    })
+    // Start times skipped by a DST change (2:00 AM when clocks jump to 3:00 AM) do not exist;
+    // they would resolve to the same instant as another slot
+    .filter(slot => toZonedMinutes(slot.startsAt, timeZone) === toMinutes(slot.startTime));
+
+  return { slots, day };
+}
+
+// Active staff members of a provider, optionally only those who perform the given service
+function getActiveStaff(availability, serviceId) {
+  return (availability.staff || []).filter(member =>
+    member.isActive !== false &&
+    (!serviceId || !member.services?.length || member.services.some(id => id.toString() === String(serviceId)))
+  );
+}
+
+/**
+ * A staff member's calendar in the shape of an Availability document. Members without their
+ * own schedules work the provider's; their own exceptions take precedence over the
+ * provider's, which (e.g. public holidays) apply to every member.
+ */
+function getStaffAvailability(availability, member) {
+  return {
+    timezone: availability.timezone,
+    advanceBookingDays: availability.advanceBookingDays,
+    schedules: member.schedules?.length ? member.schedules : availability.schedules,
+    exceptions: [...(member.exceptions || []), ...(availability.exceptions || [])]
+  };
+}
+
+/**
+ * Bookable slots for a day with availability marked, across the provider's staff.
+ *
+ * bookedTimesByStaff maps a staff id to the base slot times held for that member; the key ''
+ * holds bookings without a staff member, which block their slots for every member.
+ * Providers without active staff are a single calendar, as in markSlotAvailability.
+ *
+ * For providers with staff, each slot reports its capacity (free members) and availableStaff.
+ * Pass staffId to get one member's slots, e.g. to reserve the exact slots they would cover.
+ */
+function getStaffSlots(availability, dateKey, service = {}, {
+  bookedTimesByStaff = new Map(),
+  staffId,
+  now = new Date()
+} = {}) {
+  const markOptions = {
+    advanceBookingDays: availability.advanceBookingDays,
+    timeZone: availability.timezone || DEFAULT_TIMEZONE,
+    now
+  };
+
+  if (getActiveStaff(availability).length === 0) {
+    const { slots, day } = getAvailableSlots(availability, dateKey, service);
+    const bookedTimes = [...bookedTimesByStaff.values()].flat();
+    return { day, slots: markSlotAvailability(slots, dateKey, { ...markOptions, bookedTimes }) };
+  }
+
+  const members = getActiveStaff(availability, service.serviceId)
+    .filter(member => !staffId || member._id.toString() === String(staffId));
+  if (members.length === 0) {
+    return {
+      day: { isOpen: false, reason: staffId ? 'Staff member does not perform this service' : 'No staff member performs this service' },
+      slots: []
+    };
+  }
+
+  const unassigned = bookedTimesByStaff.get('') || [];
+  const slotsByStart = new Map();
+  let openDay = null;
+  let closedDay = null;
+
+  for (const member of members) {
+    const { slots, day } = getAvailableSlots(getStaffAvailability(availability, member), dateKey, service);
+    if (!day.isOpen) {
+      closedDay = closedDay || day;
+      continue;
+    }
+    openDay = openDay || day;
+
+    const bookedTimes = [...unassigned, ...(bookedTimesByStaff.get(member._id.toString()) || [])];
+    for (const slot of markSlotAvailability(slots, dateKey, { ...markOptions, bookedTimes })) {
+      const key = slot.startsAt.getTime();
+      if (!slotsByStart.has(key)) {
+        slotsByStart.set(key, { ...slot, available: false, capacity: 0, availableStaff: [] });
+      }
+
+      const merged = slotsByStart.get(key);
+      if (slot.available) {
+        merged.available = true;
+        delete merged.unavailableReason;
+        merged.capacity += 1;
+        merged.availableStaff.push(member._id);
+      } else if (!merged.available) {
+        merged.unavailableReason = slot.unavailableReason;
+      }
+    }
+  }
+
+  const slots = [...slotsByStart.values()].sort((a, b) => a.startsAt - b.startsAt);
+  return { day: openDay || closedDay, slots };
+}
+
+/**
+ * Check whether a booked time still fits the provider's schedule on its day, ignoring other
+ * bookings. Returns null when it does, otherwise the reason it no longer fits.
+ */
+function getScheduleConflict(availability, dateKey, timeSlot, service = {}) {
+  const { slots, day } = getAvailableSlots(availability, dateKey, service);
+  if (!day.isOpen) return day.reason;
+
+  const start = toMinutes(timeSlot);
+  return slots.some(slot => toMinutes(slot.startTime) === start) ? null : 'Outside the working hours for this day';
+}
+
+module.exports = {
+  TIME_REGEX,
+  DEFAULT_TIMEZONE,
+  parseTimeString,
+  toMinutes,
+  isTimeRangeOrdered,
+  formatMinutes,
+  isValidTimezone,
+  toDateKey,
+  toZonedMinutes,
+  resolveDateKey,
+  addDays,
+  getDayOfWeek,
+  zonedTimeToUtc,
+  slotDateTime,
+  startOfDay,
+  getDaySchedule,
+  generateTimeSlots,
+  sizeSlotsForService,
+  markSlotAvailability,
+  getAvailableSlots,
+  getActiveStaff,
+  getStaffAvailability,
+  getStaffSlots,
+  getScheduleConflict
+};
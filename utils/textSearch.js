@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Snippets for message search results
+ *
+ * MongoDB's text index finds the matching messages; these helpers cut a short snippet around
+ * the first match and report where the search terms appear in it. Highlights are character
+ * offsets rather than markup, so clients never have to render message content as HTML.
+ */
+
+// Characters of context kept on each side of the first match
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Words and quoted phrases of a $text search string, without negated terms
+ */
+function getSearchTerms(query) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query))) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) terms.push(term);
+  }
+  return [...new Set(terms.map(term => term.toLowerCase()))];
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * A snippet of content around the first search term, with the [start, end) offsets of every
+ * term occurrence in it. Terms match at the start of words, so "address" also marks
+ * "addresses" as the stemmed text search would. Returns { snippet, highlights }.
+ */
+function buildSnippet(content, terms, { radius = SNIPPET_RADIUS } = {}) {
+  const text = String(content || '');
+  if (terms.length === 0) {
+    return { snippet: text.slice(0, radius * 2), highlights: [] };
+  }
+
+  const termPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})`, 'giu');
+  const first = termPattern.exec(text);
+  termPattern.lastIndex = 0;
+
+  const start = first ? Math.max(0, first.index - radius) : 0;
+  const end = Math.min(text.length, (first ? first.index + first[0].length : 0) + radius);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.slice(start, end);
+
+  const highlights = [];
+  let match;
+  while ((match = termPattern.exec(body)) !== null) {
+    highlights.push({
+      start: prefix.length + match.index,
+      end: prefix.length + match.index + match[0].length
+    });
+  }
+
+  return { snippet: `${prefix}${body}${suffix}`, highlights };
+}
+
+module.exports = {
+  getSearchTerms,
+  buildSnippet
+};
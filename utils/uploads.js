@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Shared multer disk storage for PearlConnect uploads
+ *
+ * Public service images go to uploads/ (served statically); message attachments go to a
+ * private directory that is only served through access-checked routes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+
+const PUBLIC_UPLOAD_DIR = 'uploads/';
+const ATTACHMENT_UPLOAD_DIR = 'private-uploads/attachments/';
+
+/**
+ * Multer disk storage writing into directory (created on first use) under a unique filename
+ */
+function createDiskStorage(directory) {
+  return multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(directory, { recursive: true }, (err) => cb(err, directory));
+    },
+    filename: (req, file, cb) => {
+      // Generate unique filename with timestamp
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      cb(null, uniqueSuffix + '-' + path.basename(file.originalname));
+    }
+  });
+}
+
+// Remove uploaded files, e.g. after the request they came with was rejected
+async function removeUploadedFiles(files = []) {
+  await Promise.all(files.map(file =>
+    fs.promises.unlink(file.path).catch(err => console.error('Remove upload error:', err))
+  ));
+}
+
+module.exports = {
+  PUBLIC_UPLOAD_DIR,
+  ATTACHMENT_UPLOAD_DIR,
+  createDiskStorage,
+  removeUploadedFiles
+};